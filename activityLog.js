@@ -0,0 +1,173 @@
+// Activity log for the SumoSignal background worker.
+//
+// console output is lost whenever the service worker stops, so the checks also
+// write what they did here: when each run started and finished, every deal they
+// looked at and what they decided about it (and why), failed fetches with their
+// HTTP status, and parse failures reported by the content script. The log lives in
+// chrome.storage.local, capped at MAX_ENTRIES, and is returned by the getDiagnostics
+// action for the options page and for bug reports.
+//
+// Entries: { seq, at, type, level, runId, runKind, dealId, dealTitle, message, data }.
+
+const STORAGE_KEY = 'sumosignal_activity_log';
+// Oldest entries are dropped beyond this.
+const MAX_ENTRIES = 2000;
+// Long strings in entry data (HTML snippets, error stacks) are cut to this.
+const MAX_STRING_LENGTH = 500;
+// Entries are written in batches rather than one storage write each.
+const FLUSH_DELAY_MS = 1000;
+
+export const ACTIVITY_TYPES = {
+  runStarted: 'run_started',
+  runFinished: 'run_finished',
+  decision: 'decision', // What a check decided about one deal, with the reason
+  fetchFailed: 'fetch_failed', // A deal page that couldn't be fetched
+  sourceFetch: 'source_fetch', // One restock source's result
+  parseFailure: 'parse_failure', // Content script selectors or page parsing that failed
+  error: 'error', // Unexpected exceptions
+};
+
+export const ACTIVITY_LEVELS = ['info', 'warn', 'error'];
+
+// Copy data into something small and JSON-safe: long strings cut, errors reduced
+// to their message, nesting limited.
+function sanitize(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (value instanceof Error) return value.message;
+  if (depth >= 4) return '[…]';
+  if (Array.isArray(value)) return value.slice(0, 50).map((item) => sanitize(item, depth + 1));
+  if (typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined && typeof item !== 'function') copy[key] = sanitize(item, depth + 1);
+    }
+    return copy;
+  }
+  return String(value);
+}
+
+export class ActivityLog {
+  constructor(storageArea = chrome.storage.local) {
+    this.storageArea = storageArea;
+    this._lock = Promise.resolve();
+    this._pending = [];
+    this._flushTimer = null;
+    this._seq = 0;
+  }
+
+  // Run fn exclusively, as StorageManager does, so overlapping flushes don't drop
+  // each other's entries.
+  _withLock(fn) {
+    const run = this._lock.then(fn, fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  async _readEntries() {
+    const stored = await this.storageArea.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+  }
+
+  // Add an entry. `run` is the run from startRun, if the entry belongs to one;
+  // `deal` may be a deal or just { id }. Returns the entry.
+  record(type, message, { level = 'info', run = null, deal = null, data = null } = {}) {
+    this._seq += 1;
+    const entry = {
+      seq: this._seq,
+      at: new Date().toISOString(),
+      type,
+      level: ACTIVITY_LEVELS.includes(level) ? level : 'info',
+      runId: run ? run.id : null,
+      runKind: run ? run.kind : null,
+      dealId: deal ? deal.id : null,
+      dealTitle: deal && deal.title ? sanitize(deal.title) : null,
+      message: sanitize(message),
+      data: sanitize(data),
+    };
+    this._pending.push(entry);
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => {
+        this.flush().catch((error) => console.error('Could not write the activity log:', error));
+      }, FLUSH_DELAY_MS);
+    }
+    return entry;
+  }
+
+  // Record what a check decided about a deal, e.g. decision 'reminder_sent' with the
+  // reason 'The 48h stage is due: 30.5h left'. Counted in the run's summary.
+  decision(run, deal, decision, reason, data = null) {
+    if (run) run.decisions[decision] = (run.decisions[decision] || 0) + 1;
+    return this.record(ACTIVITY_TYPES.decision, reason, {
+      run,
+      deal,
+      level: decision.endsWith('_failed') ? 'warn' : 'info',
+      data: { decision, ...data },
+    });
+  }
+
+  // Start a check run ('expiry', 'restock', 'priceDrop', ...). The returned run is
+  // passed to the other methods and to finishRun. A run resumed by a new worker can
+  // keep its original id so its entries stay together.
+  startRun(kind, { id = null, data = null } = {}) {
+    const run = {
+      id: id || `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      kind,
+      startedAt: Date.now(),
+      decisions: {},
+    };
+    this.record(ACTIVITY_TYPES.runStarted, `${kind} check started`, { run, data });
+    return run;
+  }
+
+  // Record the end of a run with its duration and decision counts, and write the
+  // log out so it survives the worker stopping right after.
+  async finishRun(run, data = null) {
+    const durationMs = Date.now() - run.startedAt;
+    const evaluated = Object.values(run.decisions).reduce((sum, count) => sum + count, 0);
+    this.record(ACTIVITY_TYPES.runFinished, `${run.kind} check finished in ${(durationMs / 1000).toFixed(1)}s, ${evaluated} decision(s)`, {
+      run,
+      level: data && data.error ? 'error' : 'info',
+      data: { durationMs, decisions: run.decisions, ...data },
+    });
+    await this.flush();
+  }
+
+  flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (this._pending.length === 0) return this._lock;
+    const batch = this._pending;
+    this._pending = [];
+    return this._withLock(async () => {
+      const entries = await this._readEntries();
+      entries.push(...batch);
+      if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+      await this.storageArea.set({ [STORAGE_KEY]: entries });
+    });
+  }
+
+  // Entries, newest first. Filters: { types, level (minimum), runId, dealId, since
+  // (ISO date), limit }.
+  async getEntries({ types = null, level = null, runId = null, dealId = null, since = null, limit = 500 } = {}) {
+    await this.flush();
+    const minLevel = level ? ACTIVITY_LEVELS.indexOf(level) : 0;
+    const sinceMs = since ? new Date(since).getTime() : null;
+    return (await this._readEntries())
+      .filter((entry) => (!types || types.includes(entry.type)) &&
+        ACTIVITY_LEVELS.indexOf(entry.level) >= minLevel &&
+        (!runId || entry.runId === runId) &&
+        (!dealId || entry.dealId === dealId) &&
+        (sinceMs === null || new Date(entry.at).getTime() >= sinceMs))
+      .reverse()
+      .slice(0, Math.max(1, Math.min(limit, MAX_ENTRIES)));
+  }
+
+  async clear() {
+    this._pending = [];
+    await this._withLock(() => this.storageArea.set({ [STORAGE_KEY]: [] }));
+  }
+}
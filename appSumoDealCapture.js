@@ -1,142 +1,275 @@
-const SELECTORS = {
-  // Used in findDealElements and MutationObserver to identify overall deal containers/elements
-  dealIdentifier: '.appsumo-product-title-selector, .appsumo-deal-card-selector', // Placeholder from pseudocode
-  // Used in extractDealData to find the title text within a dealElement
-  titleInDeal: '.title-selector', // Placeholder from pseudocode, e.g., a specific class for product titles
-  // Used in extractDealData to find the expiry date text
-  expiryDate: '.deal-expiry-date-selector', // Placeholder from pseudocode
-  // Used in enhanceDealElement to find a good place to insert the button, relative to a title/header
-  // Prioritize titleInDeal if available, otherwise common header tags.
-  buttonAnchor: '.title-selector, h1, h2, h3, h4', // Placeholder variation
-};
+// Selector chains come from selectorProfiles.js (loaded first). The active profile
+// starts as the built-in one and is replaced by the user's override, if any, once the
+// background answers in main().
+let selectorProfile = buildSelectorProfile(null);
 
-// Function to identify AppSumo deal elements (product titles/cards)
-function findDealElements() {
-  return document.querySelectorAll(SELECTORS.dealIdentifier);
+// Paths that should always contain deals; used to decide when missing deal elements
+// mean the selectors are broken rather than the page simply having no deals.
+const DEAL_PAGE_PATH_PATTERN = /^\/(products|browse|collections|categories)\//;
+const PRODUCT_PAGE_PATH_PATTERN = /^\/products\/[^/]+/;
+
+// --- Broken selector diagnostics ---
+// Field failures are collected for a moment and sent to the background in one message.
+const reportedBrokenFields = new Set();
+let pendingBrokenFields = [];
+let brokenFieldsTimer = null;
+
+function reportBrokenSelectors(field) {
+  if (!DIAGNOSED_SELECTOR_FIELDS.includes(field) || reportedBrokenFields.has(field)) return;
+  reportedBrokenFields.add(field);
+  pendingBrokenFields.push({ field, strategiesTried: (selectorProfile.fields[field] || []).length });
+
+  if (brokenFieldsTimer) return;
+  brokenFieldsTimer = setTimeout(() => {
+    const fields = pendingBrokenFields;
+    pendingBrokenFields = [];
+    brokenFieldsTimer = null;
+    chrome.runtime.sendMessage({
+      action: 'reportSelectorsBroken',
+      data: {
+        profileId: selectorProfile.id,
+        profileVersion: selectorProfile.version,
+        pageUrl: window.location.href,
+        fields,
+      },
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('SumoSignal: Could not report broken selectors:', chrome.runtime.lastError.message);
+      }
+    });
+  }, 1000);
 }
 
-// Function to parse expiry date string (robust parsing needed)
-function parseExpiryDate(dateString) {
-  if (!dateString || typeof dateString !== 'string') {
-    return null;
-  }
+// True if the element describes the page's own product (rather than one card on a
+// listing), so page-level structured data applies to it.
+function isPrimaryDealElement(element) {
+  if (!PRODUCT_PAGE_PATH_PATTERN.test(window.location.pathname)) return false;
+  const heading = document.querySelector('h1');
+  return element === document.body || element.tagName === 'MAIN' || Boolean(heading && element.contains(heading));
+}
 
-  const cleanedDateString = dateString.trim().toLowerCase();
+// Find a field for a specific deal. Page-level matches are only accepted for the
+// page's main deal, and never when they sit inside a different deal card, so one
+// card can't pick up another card's countdown or expiry.
+function queryFieldForDeal(dealElement, field) {
+  const own = queryField(dealElement, selectorProfile, field);
+  if (own || !isPrimaryDealElement(dealElement)) return own;
 
-  // 1. Try common short relative dates
-  const today = new Date();
-  if (cleanedDateString.includes("tonight")) {
-    const date = new Date(today);
-    date.setHours(23, 59, 59, 999); // End of today
-    return date.toISOString();
-  }
-  if (cleanedDateString.includes("tomorrow")) {
-    const date = new Date(today);
-    date.setDate(date.getDate() + 1);
-    date.setHours(23, 59, 59, 999); // End of tomorrow
-    return date.toISOString();
-  }
+  const pageLevel = queryField(document, selectorProfile, field);
+  if (!pageLevel) return null;
+  const owningDeal = findDealElements().find((candidate) => candidate !== dealElement && candidate.contains(pageLevel));
+  return owningDeal ? null : pageLevel;
+}
 
-  // 2. Try detailed relative dates: "ends in X days", "X hours left", etc.
-  let relativeDateMatch = cleanedDateString.match(/(?:ends in|expires in|in)\s*(\d+)\s*(day|hour)s?/i);
-  if (!relativeDateMatch) {
-    relativeDateMatch = cleanedDateString.match(/(\d+)\s*(day|hour)s?\s*left/i);
+// Function to identify AppSumo deal elements (product titles/cards)
+function findDealElements() {
+  const elements = queryAllField(document, selectorProfile, 'dealIdentifier');
+  if (elements.length > 0) return elements;
+  // Every selector failed. On a product page, structured data still tells us what the
+  // page is about, so treat the main content as the deal element.
+  if (PRODUCT_PAGE_PATH_PATTERN.test(window.location.pathname) && hasStructuredProduct(document)) {
+    reportBrokenSelectors('dealIdentifier');
+    return [document.querySelector('main') || document.body];
   }
+  return [];
+}
 
-  if (relativeDateMatch) {
-    const value = parseInt(relativeDateMatch[1], 10);
-    const unit = relativeDateMatch[2].toLowerCase();
-    const date = new Date();
+// Currency symbols/codes we recognise in price text, mapped to ISO 4217 codes.
+const CURRENCY_SYMBOLS = { '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP', 'C$': 'CAD', 'A$': 'AUD', '₹': 'INR' };
 
-    if (unit === 'day') {
-      date.setDate(date.getDate() + value);
-      date.setHours(23, 59, 59, 999); // Set to end of day
-    } else if (unit === 'hour') {
-      date.setHours(date.getHours() + value);
-    }
-    return date.toISOString();
+// Parse a price such as "$1,380", "US$49.00" or "49 €" into { amount, currency }.
+function parsePriceText(text) {
+  if (!text || typeof text !== 'string') return null;
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+  // Prefer a number written next to a currency marker ("Tier 2 $59" -> 59), else the first number.
+  const number = '(\\d{1,3}(?:[,\\s]\\d{3})+|\\d+)(?:[.,](\\d{1,2}))?';
+  const amountMatch = cleaned.match(new RegExp(`(?:[$€£₹]|USD|EUR|GBP)\\s*${number}`, 'i')) ||
+    cleaned.match(new RegExp(number));
+  if (!amountMatch) return null;
+  const whole = amountMatch[1].replace(/[,\s]/g, '');
+  const amount = parseFloat(amountMatch[2] ? `${whole}.${amountMatch[2]}` : whole);
+  if (isNaN(amount)) return null;
+
+  let currency = null;
+  const codeMatch = cleaned.match(/\b(USD|EUR|GBP|CAD|AUD|INR)\b/i);
+  if (codeMatch) {
+    currency = codeMatch[1].toUpperCase();
+  } else {
+    const symbol = Object.keys(CURRENCY_SYMBOLS)
+      .sort((a, b) => b.length - a.length) // Match "US$" before "$"
+      .find((candidate) => cleaned.includes(candidate));
+    currency = symbol ? CURRENCY_SYMBOLS[symbol] : null;
   }
+  return { amount, currency };
+}
 
-  // 3. Try to parse absolute dates
-  // Clean common prefixes and time parts for better parsing of the date itself
-  let parsableString = cleanedDateString
-    .replace(/^(expires on|ends on|deal ends on|ends at|expires at)\s*/i, '')
-    .replace(/\s*at\s*\d{1,2}:\d{2}\s*(am|pm)?(\s*[a-z]{2,})?(\s*[a-z]{2,})?$/i, ''); // Remove time component, allow for timezone abbreviation
-
-  // Helper for month name to number
-  const monthMap = {
-    jan: 0, jan:0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
-    may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, september: 8,
-    oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
-  };
+// Parse a count such as "(1,234 reviews)" or "1.2k" into an integer.
+function parseCountText(text) {
+  if (!text) return null;
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]) * (match[2] ? 1000 : 1);
+  return isNaN(value) ? null : Math.round(value);
+}
+
+// Parse a star rating such as "4.8", "4.8 out of 5 stars" or "Rated 5/5".
+function parseRatingText(text) {
+  if (!text) return null;
+  const match = text.match(/(\d(?:[.,]\d+)?)\s*(?:\/\s*5|out of 5|stars?|$)/i) || text.match(/(\d(?:[.,]\d+)?)/);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(',', '.'));
+  return value >= 0 && value <= 5 ? value : null;
+}
 
-  // Try specific formats before generic new Date()
-  // Format: "Month Day, Year" or "Month Day Year" e.g., "Oct 25, 2024" or "October 25 2024"
-  let match = parsableString.match(/([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/i);
+// Expand tier range text such as "Tier 1–3" or "Tiers 1-4" into ["Tier 1", "Tier 2", "Tier 3"].
+// A single tier ("Tier 2") yields one code.
+function parseTierCodes(text) {
+  if (!text) return [];
+  const match = text.match(/tiers?\s*(\d+)\s*(?:[-–—]|to)\s*(\d+)/i);
   if (match) {
-    const month = monthMap[match[1].toLowerCase()];
-    const day = parseInt(match[2], 10);
-    const year = parseInt(match[3], 10);
-    if (month !== undefined && !isNaN(day) && !isNaN(year)) {
-      const d = new Date(Date.UTC(year, month, day)); // Use UTC to avoid timezone shifts during construction
-      return d.toISOString();
+    const first = parseInt(match[1], 10);
+    const last = parseInt(match[2], 10);
+    if (last >= first && last - first < 20) {
+      return Array.from({ length: last - first + 1 }, (_, i) => `Tier ${first + i}`);
     }
   }
+  const single = text.match(/tier\s*(\d+)/i);
+  return single ? [`Tier ${parseInt(single[1], 10)}`] : [];
+}
 
-  // Format: "Day Month Year" e.g., "25 Oct 2024"
-  match = parsableString.match(/(\d{1,2})\s+([a-z]+)\.?\s+(\d{4})/i);
-  if (match) {
-    const day = parseInt(match[1], 10);
-    const month = monthMap[match[2].toLowerCase()];
-    const year = parseInt(match[3], 10);
-    if (month !== undefined && !isNaN(day) && !isNaN(year)) {
-      const d = new Date(Date.UTC(year, month, day));
-      return d.toISOString();
-    }
+function readText(root, field) {
+  const el = queryField(root, selectorProfile, field);
+  if (!el) return null;
+  // Star widgets often have no text content, only an aria-label
+  const text = el.textContent.trim() || el.getAttribute('aria-label') || '';
+  return text.trim() || null;
+}
+
+// Read the price, tiers and review data shown for a deal. Every field is optional:
+// listing cards typically show fewer details than the product page.
+function extractPricingData(element) {
+  const current = parsePriceText(readText(element, 'currentPrice'));
+  const original = parsePriceText(readText(element, 'originalPrice'));
+
+  let discountPercent = null;
+  const discountMatch = (readText(element, 'discount') || '').match(/(\d{1,3})\s*%/);
+  if (discountMatch) {
+    discountPercent = parseInt(discountMatch[1], 10);
+  } else if (current && original && original.amount > current.amount) {
+    discountPercent = Math.round((1 - current.amount / original.amount) * 100);
   }
-  
-  // Fallback: Try to parse the cleaned string directly with new Date()
-  // This is less reliable for ambiguous formats like MM/DD/YYYY vs DD/MM/YYYY
-  // but good for ISO-like strings or unambiguous textual dates.
-  const parsedDate = new Date(parsableString);
-  if (!isNaN(parsedDate.getTime())) {
-    // If the year is very old (e.g. < 2000), it might be a misinterpretation of DD/MM/YY vs MM/DD/YY
-    // For now, accept what new Date() provides.
-    // Ensure it's not a date far in the past unless it's reasonable (e.g. parsing '1999' as year)
-    // A simple check could be if year is < currentYear - N or > currentYear + M
-    return parsedDate.toISOString();
+
+  // Individual plan options carry their own price and sold-out state.
+  const tiers = [];
+  queryAllField(element, selectorProfile, 'tierOption').forEach((tierElement) => {
+    const text = tierElement.textContent.replace(/\s+/g, ' ').trim();
+    const [code] = parseTierCodes(text);
+    if (!code) return;
+    const tierPrice = parsePriceText(text.replace(/tiers?\s*\d+/i, ''));
+    tiers.push({
+      code,
+      price: tierPrice ? tierPrice.amount : null,
+      soldOut: /sold out|unavailable/i.test(text) || tierElement.matches('[disabled], [aria-disabled="true"]'),
+    });
+  });
+  // No per-tier elements: fall back to the summary range, e.g. "Tier 1–3".
+  if (tiers.length === 0) {
+    parseTierCodes(readText(element, 'tierRange')).forEach((code) => {
+      tiers.push({ code, price: null, soldOut: false });
+    });
   }
 
-  // console.warn(`SumoSignal: Could not parse date string: "${dateString}" after all attempts.`);
-  return null; // Return null if parsing fails
-}
+  const pricing = {
+    price: current ? current.amount : null,
+    originalPrice: original ? original.amount : null,
+    currency: (current && current.currency) || (original && original.currency) || null,
+    discountPercent,
+    tiers,
+    reviewCount: parseCountText(readText(element, 'reviewCount')),
+    rating: parseRatingText(readText(element, 'rating')),
+    category: readText(element, 'category'),
+  };
 
-// Function to extract deal data from an element
-function extractDealData(element) {
-  const titleElement = element.querySelector(SELECTORS.titleInDeal);
-  const title = titleElement ? titleElement.textContent.trim() : null;
+  // Fill gaps from the page's structured data (JSON-LD, OpenGraph, microdata).
+  if (isPrimaryDealElement(element)) {
+    const structured = readStructuredDealData(document);
+    if (pricing.price === null && structured.price) pricing.price = parseFloat(structured.price.value) || null;
+    if (!pricing.currency && structured.currency) pricing.currency = structured.currency.value;
+    if (pricing.rating === null && structured.rating) pricing.rating = parseRatingText(structured.rating.value);
+    if (pricing.reviewCount === null && structured.reviewCount) pricing.reviewCount = parseCountText(structured.reviewCount.value);
+    if (!pricing.category && structured.category) pricing.category = structured.category.value;
+    if (pricing.price === null) reportBrokenSelectors('currentPrice');
+  }
+  return pricing;
+}
 
+// The URLs identifying a deal element. The background derives the stable deal ID from these.
+function extractDealUrls(element) {
   // URL: element's href if it's an <a> tag, or closest <a> parent's href, or current page URL as fallback
   let url = element.href || element.closest('a')?.href;
-  if (!url && (element.tagName === 'A' || element.querySelector('a'))) { // Check if element itself or a child is an anchor
-    url = (element.tagName === 'A' ? element.href : element.querySelector('a').href);
+  if (!url) {
+    // Prefer a link to a product page over any other anchor in the card (vendor links, review anchors, ...)
+    const anchor = queryField(element, selectorProfile, 'productLink') || element.querySelector('a');
+    url = anchor ? anchor.href : null;
   }
+  let canonicalUrl = null;
   if (!url) {
     url = window.location.href; // Fallback to current page URL
+    // The element describes the current page, so the page's canonical URL identifies it
+    // even if we arrived through a redirect or a tracking link.
+    const canonicalElement = document.querySelector('link[rel="canonical"]') ||
+      document.querySelector('meta[property="og:url"]');
+    canonicalUrl = canonicalElement ? (canonicalElement.href || canonicalElement.content || null) : null;
   }
+  return { url, canonicalUrl };
+}
 
+// Function to extract deal data from an element
+function extractDealData(element) {
+  const isPrimary = isPrimaryDealElement(element);
+  const structured = isPrimary ? readStructuredDealData(document) : null;
 
-  let expiryDate = null;
-  // Try to find expiry date within the current deal element first, then fall back to a page-global one.
-  const expiryElement = element.querySelector(SELECTORS.expiryDate) || document.querySelector(SELECTORS.expiryDate);
+  const titleElement = queryField(element, selectorProfile, 'titleInDeal');
+  let title = titleElement ? titleElement.textContent.trim() : null;
+  if (!title && structured && structured.title) {
+    title = structured.title.value;
+  }
+  if (!title) {
+    reportBrokenSelectors('titleInDeal');
+  }
+
+  const { url, canonicalUrl } = extractDealUrls(element);
+
+  // Expiry parsing lives in expiryDateParser.js (loaded first); it reports how sure
+  // it is so the background can flag guesses for review.
+  let expiry = null;
+  let expiryText = null;
+  // A live countdown is the most precise source; see countdownWatcher.js.
+  const countdownWidget = queryFieldForDeal(element, 'countdown');
+  const countdown = countdownWidget ? readCountdown(countdownWidget) : null;
+  if (countdown) {
+    expiry = { iso: countdown.iso, confidence: countdown.confidence, precisionMs: countdown.precisionMs };
+    expiryText = countdown.text;
+  }
+  // Otherwise a static expiry label belonging to this deal.
+  const expiryElement = expiry ? null : queryFieldForDeal(element, 'expiryDate');
 
   if (expiryElement) {
-    const expiryText = expiryElement.textContent ? expiryElement.textContent.trim() : null;
+    // <time datetime="..."> carries a machine-readable value
+    expiryText = expiryElement.getAttribute('datetime') || (expiryElement.textContent ? expiryElement.textContent.trim() : null);
     if (expiryText) {
-      expiryDate = parseExpiryDate(expiryText);
+      expiry = ExpiryDateParser.parse(expiryText);
     }
   }
-  return { title, url, expiryDate };
+  if (!expiry && structured && structured.expiry) {
+    expiryText = structured.expiry.value;
+    expiry = ExpiryDateParser.parse(expiryText);
+  }
+  const expiryDate = expiry ? expiry.iso : null;
+  const expiryConfidence = expiry ? expiry.confidence : null;
+  const expiryPrecisionMs = expiry ? expiry.precisionMs : null;
+  // The background derives the deal's stable ID from url/canonicalUrl.
+  return { title, url, canonicalUrl, expiryDate, expiryConfidence, expiryPrecisionMs, expiryText, ...extractPricingData(element) };
 }
 
 // Function to inject a 'Save' button
@@ -146,15 +279,27 @@ function enhanceDealElement(dealElement) {
     return;
   }
 
+  // Probe the title now so a layout change is reported without waiting for a click.
+  if (!queryField(dealElement, selectorProfile, 'titleInDeal') && !isPrimaryDealElement(dealElement)) {
+    reportBrokenSelectors('titleInDeal');
+  }
+
   const saveButton = document.createElement('button');
   saveButton.textContent = 'Save to SumoSignal';
   saveButton.classList.add('sumosignal-save-button');
-  // Styling for this button should be handled by 'injecteduistyles.css' (as per project plan)
+  // Styled by injecteduistyles.css, like the state badge and bulk toolbar (dealStateBadges.js)
 
   saveButton.onclick = (e) => {
     e.stopPropagation(); // Prevent click from triggering parent link navigation
     e.preventDefault();  // Prevent default button action
 
+    // An ignored or archived deal is already saved; the button re-watches it instead
+    // (see renderDealState in dealStateBadges.js).
+    if (saveButton.dataset.sumosignalRewatchId) {
+      watchDealAgain(saveButton);
+      return;
+    }
+
     const data = extractDealData(dealElement);
 
     if (data.title && data.url) {
@@ -173,6 +318,11 @@ function enhanceDealElement(dealElement) {
           console.log('SumoSignal: Deal save response:', response);
           if (response && response.success) {
             saveButton.textContent = 'Saved!';
+            if (response.deal && response.deal.expiryNeedsReview) {
+              // The expiry text was ambiguous; make that visible instead of implying we know the deadline.
+              saveButton.textContent = 'Saved! Check expiry date';
+              saveButton.title = `SumoSignal guessed the expiry from "${response.deal.expiryText}". Please confirm it in the watchlist.`;
+            }
             // Button remains disabled and shows "Saved!" to indicate success and prevent re-saving.
           } else {
             const message = response && response.message ? response.message : 'Failed!';
@@ -205,7 +355,7 @@ function enhanceDealElement(dealElement) {
   };
 
   // Attempt to insert the button strategically.
-  const anchorElement = dealElement.querySelector(SELECTORS.buttonAnchor);
+  const anchorElement = queryField(dealElement, selectorProfile, 'buttonAnchor');
   if (anchorElement && anchorElement.parentElement) {
     // Insert button as a sibling, after the anchor element.
     anchorElement.parentElement.insertBefore(saveButton, anchorElement.nextSibling);
@@ -213,10 +363,28 @@ function enhanceDealElement(dealElement) {
     // Fallback: append to the deal element itself.
     dealElement.appendChild(saveButton);
   }
+
+  // Show whether the deal is already saved, and let listing cards be bulk-selected
+  // (see dealStateBadges.js).
+  trackDealElement(dealElement, saveButton);
+  // Keep saved deals' expiry in step with the page's countdown, if it has one.
+  watchDealCountdown(dealElement);
 }
 
 // Main execution logic for content script
 function main() {
+  // Apply the selector profile override from the options page (if any) before scanning.
+  chrome.runtime.sendMessage({ action: 'getSelectorProfile' }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.warn('SumoSignal: Could not load selector profile override, using built-in profile:', chrome.runtime.lastError.message);
+    } else if (response && response.success && response.data) {
+      selectorProfile = buildSelectorProfile(response.data);
+    }
+    startDealScanning();
+  });
+}
+
+function startDealScanning() {
   const processFoundDealElements = (elements) => {
     elements.forEach(enhanceDealElement);
   };
@@ -231,12 +399,12 @@ function main() {
         mutation.addedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
             // Check if the added node itself is a deal element
-            if (node.matches && node.matches(SELECTORS.dealIdentifier)) {
+            if (node.matches && matchesField(node, selectorProfile, 'dealIdentifier')) {
               enhanceDealElement(node);
             }
             // Check if the added node contains new deal elements
             // Using querySelectorAll on the node itself
-            const newDealsInNode = node.querySelectorAll(SELECTORS.dealIdentifier);
+            const newDealsInNode = queryAllField(node, selectorProfile, 'dealIdentifier');
             if (newDealsInNode.length > 0) {
               processFoundDealElements(newDealsInNode);
             }
@@ -247,6 +415,14 @@ function main() {
   });
 
   observer.observe(document.body, { childList: true, subtree: true });
+
+  // Listing pages render cards late; give them a moment before declaring the deal
+  // selectors broken.
+  setTimeout(() => {
+    if (DEAL_PAGE_PATH_PATTERN.test(window.location.pathname) && !document.querySelector('.sumosignal-save-button')) {
+      reportBrokenSelectors('dealIdentifier');
+    }
+  }, 5000);
 }
 
 // Ensure script runs after the DOM is fully loaded
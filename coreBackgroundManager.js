@@ -1,59 +1,144 @@
+import { StorageManager, DEAL_SCHEMA_VERSION } from './storageManager.js';
+import { resolveDealIdentity, canonicalizeDealUrl, extractProductSlug, getDealUrls } from './dealIdentity.js';
+import { recordPricingObservation, evaluatePricingAlert, seedPricingAlertState } from './dealPricing.js';
+import { extractPricingFromHtml, extractExpiryFromHtml } from './dealPageParser.js';
+import { classifyDealPage, PAGE_STATES } from './dealPageClassifier.js';
+import { recordExpiryObservation } from './expiryTracking.js';
+import { getReminderStages, getReminderState, evaluateExpiryReminder } from './expiryReminders.js';
+import { NotificationService, NOTIFICATION_ACTIONS } from './notificationService.js';
+import { DEAL_STATUSES, isAlerting, isValidStatus, transitionDeal, normalizePurchase } from './dealLifecycle.js';
+import { CsvExporterService } from './csvExporterService.js';
+import { generateIcs } from './icsExporter.js';
+import { getRestockSources, fetchRestockListings } from './restockSources.js';
+import { findBestListingMatch } from './listingMatcher.js';
+import { FetchQueue } from './fetchQueue.js';
+import { queryDeals } from './dealQuery.js';
+import { DEAL_PRIORITIES, normalizeTags, isValidPriority, normalizeAlertPreferences, resolveDealConfig } from './dealPreferences.js';
+import { evaluateWatchRules, normalizeWatchRule, parseWatchRule, matchesWatchRule } from './watchRules.js';
+import { WebhookService, WEBHOOK_OUTBOX_ALARM_NAME, buildWebhookEvent } from './webhookService.js';
+import { getDefaultSettings, validateSettings, describeSettingsErrors, SETTINGS_SCHEMA } from './settingsSchema.js';
+import { ActivityLog, ACTIVITY_TYPES } from './activityLog.js';
+
 const EXPIRY_ALARM_NAME = 'expiryCheckAlarm';
 const RESTOCK_ALARM_NAME = 'restockCheckAlarm';
+const PRICE_DROP_ALARM_NAME = 'priceDropCheckAlarm';
+const NEW_TIER_ALARM_NAME = 'newTierCheckAlarm';
+const TIER_SOLD_OUT_ALARM_NAME = 'tierSoldOutCheckAlarm';
+// Wakes the worker to finish a restock run that was cut short; cleared when the run ends.
+const RESTOCK_RESUME_ALARM_NAME = 'restockResumeAlarm';
+const RESTOCK_RESUME_INTERVAL_MINUTES = 5;
+// A stored run older than this is dropped instead of resumed; the next scheduled run
+// covers its deals.
+const RESTOCK_RUN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Pricing alarms and the alert type each one checks (see evaluatePricingAlert in dealPricing.js).
+const PRICING_ALARMS = {
+  [PRICE_DROP_ALARM_NAME]: { alertType: 'priceDrop', periodKey: 'priceDropCheckPeriodInMinutes' },
+  [NEW_TIER_ALARM_NAME]: { alertType: 'newTier', periodKey: 'newTierCheckPeriodInMinutes' },
+  [TIER_SOLD_OUT_ALARM_NAME]: { alertType: 'tierSoldOut', periodKey: 'tierSoldOutCheckPeriodInMinutes' },
+};
+
+// Largest number of deals one saveDeals request may save.
+const MAX_BULK_SAVE = 100;
+// Deal fields shown on the in-page badges; other changes don't need a refresh.
+const DEAL_STATE_FIELDS = ['status', 'expiryDate', 'expiryNeedsReview'];
 
 // Initialize services
-const storage = new StorageManager(); // Assumed to be defined elsewhere, with methods like getSettings(), addDeal(), etc.
-const notifier = new NotificationService(); // Assumed to be defined elsewhere
-const csvExporter = new CsvExporterService(); // Assumed to be defined elsewhere
-// DateTimeHelper and StringSimilarityScorer are assumed to be available, e.g., globally or imported if using modules.
-// Example:
-// import { DateTimeHelper } from './shared_utilities.js';
-// import { StringSimilarityScorer } from './shared_utilities.js';
+const storage = new StorageManager(); // chrome.storage.local-backed persistence, see storageManager.js
+// What each check run did and why, kept across worker restarts for getDiagnostics. See activityLog.js.
+const activity = new ActivityLog();
+const notifier = new NotificationService(); // chrome.notifications with persistent deal mapping, see notificationService.js
+// Alerts follow each deal's channel preferences (see resolveDealConfig in dealPreferences.js).
+notifier.setChannelResolver((deal) => resolveDealConfig(deal, currentConfig).channels);
+// Alerts on the 'webhook' channel go through a persistent outbox, see webhookService.js.
+const webhooks = new WebhookService();
+webhooks.setConfigResolver(() => ({
+  url: currentConfig.webhookUrl,
+  format: currentConfig.webhookFormat,
+  secret: currentConfig.webhookSecret,
+}));
+// A deal can be on the webhook channel while no URL is set; its alerts are logged as
+// skipped rather than dropped without a trace.
+notifier.setChannelHandler('webhook', async (alert) => {
+  const eventId = await webhooks.enqueue(alert);
+  if (!eventId) {
+    activity.record(ACTIVITY_TYPES.decision, `${alert.kind} alert not sent to the webhook: no webhook URL is configured.`, {
+      level: 'warn',
+      deal: alert.deal,
+      data: { decision: 'webhook_skipped', kind: alert.kind },
+    });
+  }
+});
+const csvExporter = new CsvExporterService(); // CSV export, JSON backup and import parsing, see csvExporterService.js
+// Every deal page and restock source fetch goes through this queue: at most 3 requests
+// at once, one per second per host, with backoff on 429/5xx. See fetchQueue.js.
+const pageFetchQueue = new FetchQueue({ concurrency: 3, perHostIntervalMs: 1000 });
 
 
 // --- Configuration Management ---
-// Default configuration values. In a real application, these would ideally be
-// loaded from an appconfig.js file and then overridden by user settings from chrome.storage.
-// For this fix, we define them here and assume storage.getSettings() will provide overrides.
-const DEFAULT_APP_CONFIG = {
-  expiryCheckPeriodInMinutes: 60,  // Default: Check hourly
-  restockCheckPeriodInMinutes: 240, // Default: Check every 4 hours
-  restockApiEndpoint: 'https://api.appsumo.com/v1/deals/active', // Placeholder: Actual AppSumo API or scraping source for current deals
-  expiryWarningLeadTimeHours: 48, // Default: Warn 48 hours before expiry
-  similarityThreshold: 0.8, // Default for string similarity in restock checks
-};
-
-let currentConfig = { ...DEFAULT_APP_CONFIG }; // Initialize with defaults
+// Defaults, ranges and help text for every setting live in settingsSchema.js, which
+// also drives the options page. Stored settings are validated before use: a value
+// that fails validation (a hand-edited 0, a string where a number belongs) is
+// replaced by its last valid value, or its default, instead of reaching
+// chrome.alarms.create.
+let currentConfig = getDefaultSettings(); // Initialize with defaults
 
-// Function to load configuration from storage and apply it.
-// This would typically be more robust, potentially involving appconfig.js for initial defaults.
-async function loadAndApplyConfig() {
+// Load the stored settings and validate them into currentConfig.
+async function loadConfig() {
   try {
-    // Attempt to load user-defined settings from storage.
-    // StorageManager should have a method like getSettings().
     const userSettings = await storage.getSettings();
-    if (userSettings && Object.keys(userSettings).length > 0) {
-      currentConfig = { ...DEFAULT_APP_CONFIG, ...userSettings };
-      console.log('Configuration loaded from storage:', currentConfig);
+    const { values, errors } = validateSettings(userSettings);
+    if (Object.keys(errors).length > 0) {
+      // Fall back field by field to the settings that last loaded cleanly.
+      const lastValid = await storage.getLastValidSettings();
+      const fallback = errors['*'] ? lastValid : Object.fromEntries(
+        Object.keys(errors).filter((key) => key in lastValid).map((key) => [key, lastValid[key]]));
+      console.warn(`Ignoring invalid stored settings, using the last valid values instead. ${describeSettingsErrors(errors)}`);
+      currentConfig = { ...getDefaultSettings(), ...values, ...fallback };
     } else {
-      currentConfig = { ...DEFAULT_APP_CONFIG }; // Fallback to compiled defaults if no user settings
-      console.log('No user settings found or settings empty, using default configuration:', currentConfig);
+      currentConfig = { ...getDefaultSettings(), ...values };
+      await storage.saveLastValidSettings(values);
     }
+    console.log('Configuration loaded:', currentConfig);
   } catch (error) {
-    console.warn('Error loading configuration from storage, using default configuration:', error);
-    currentConfig = { ...DEFAULT_APP_CONFIG }; // Fallback to defaults on error
+    // Keep whatever was applied last; at startup that is the defaults.
+    console.warn('Error loading configuration from storage, keeping the current configuration:', error);
   }
+}
+
+// The service worker is restarted all the time, and whatever woke it (a message, a
+// content script asking for the selector profile) must see the stored settings
+// rather than the defaults. This doesn't touch the alarms: re-creating them on every
+// start would keep pushing them back.
+const configReady = loadConfig();
+
+// Load the settings and apply them: reload currentConfig and (re)create the check alarms.
+async function loadAndApplyConfig() {
+  await loadConfig();
 
   // (Re-)Create alarms with the current configuration values.
   // chrome.alarms.create will update an existing alarm if the name matches.
   chrome.alarms.create(EXPIRY_ALARM_NAME, { periodInMinutes: currentConfig.expiryCheckPeriodInMinutes });
   chrome.alarms.create(RESTOCK_ALARM_NAME, { periodInMinutes: currentConfig.restockCheckPeriodInMinutes });
-  console.log(`Alarms scheduled: Expiry every ${currentConfig.expiryCheckPeriodInMinutes}m, Restock every ${currentConfig.restockCheckPeriodInMinutes}m.`);
+  for (const [alarmName, { periodKey }] of Object.entries(PRICING_ALARMS)) {
+    chrome.alarms.create(alarmName, { periodInMinutes: currentConfig[periodKey] });
+  }
+  console.log(`Alarms scheduled: Expiry every ${currentConfig.expiryCheckPeriodInMinutes}m, Restock every ${currentConfig.restockCheckPeriodInMinutes}m, ` +
+    `Price drop every ${currentConfig.priceDropCheckPeriodInMinutes}m, New tier every ${currentConfig.newTierCheckPeriodInMinutes}m, ` +
+    `Tier sold out every ${currentConfig.tierSoldOutCheckPeriodInMinutes}m.`);
 }
 
 
 // Event listener for extension installation/update
 chrome.runtime.onInstalled.addListener(async (details) => {
+  if (details.reason === 'update') {
+    // Upgrade stored deals to the current schema before anything reads them.
+    try {
+      await storage.migrate();
+    } catch (error) {
+      console.error('Error migrating stored deals:', error);
+    }
+  }
   await loadAndApplyConfig(); // Load config and set up/update alarms
 
   if (details.reason === 'install') {
@@ -74,10 +159,22 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   // Reload config before running checks, in case settings changed since last alarm schedule.
   await loadAndApplyConfig();
 
-  if (alarm.name === EXPIRY_ALARM_NAME) {
-    await performExpiryChecks();
-  } else if (alarm.name === RESTOCK_ALARM_NAME) {
-    await performRestockChecks();
+  // Alerts raised during one check run are grouped into a single notification.
+  notifier.startBatch();
+  try {
+    if (alarm.name === EXPIRY_ALARM_NAME) {
+      await performExpiryChecks();
+    } else if (alarm.name === RESTOCK_ALARM_NAME) {
+      await performRestockChecks();
+    } else if (alarm.name === RESTOCK_RESUME_ALARM_NAME) {
+      await performRestockChecks({ resume: true });
+    } else if (PRICING_ALARMS[alarm.name]) {
+      await performPricingChecks(PRICING_ALARMS[alarm.name].alertType);
+    } else if (alarm.name === WEBHOOK_OUTBOX_ALARM_NAME) {
+      await webhooks.flush();
+    }
+  } finally {
+    await notifier.flushBatch();
   }
 });
 
@@ -86,15 +183,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     let result;
     try {
+      await configReady;
       switch (request.action) {
         case 'saveDeal':
           result = await handleSaveDeal(request.data);
           break;
+        case 'saveDeals': // Bulk save from the listing page toolbar
+          result = await handleSaveDeals(request.deals);
+          break;
+        case 'getDealStates':
+          result = await handleGetDealStates(request.urls);
+          break;
         case 'markAsMissed':
           result = await handleMarkAsMissed(request.dealId);
           break;
+        case 'markAsPurchased':
+          result = await handleMarkAsPurchased(request.dealId, request.purchase);
+          break;
+        case 'updatePurchaseDetails':
+          result = await handleUpdatePurchaseDetails(request.dealId, request.purchase);
+          break;
+        case 'setDealStatus':
+          result = await handleSetDealStatus(request.dealId, request.status);
+          break;
         case 'exportCsv':
-          result = await handleExportCsv();
+          result = await handleExportCsv(request.options);
+          break;
+        case 'exportJson':
+          result = await handleExportJson(request.options);
+          break;
+        case 'exportIcs':
+          result = await handleExportIcs();
+          break;
+        case 'importDeals':
+          result = await handleImportDeals(request.data);
           break;
         case 'getWatchlist':
           const watchingDeals = await storage.getDealsByStatus('watching');
@@ -104,12 +226,100 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           const allDeals = await storage.getAllDeals();
           result = { success: true, data: allDeals };
           break;
+        case 'queryDeals': // Filtered, sorted, paginated deals; see dealQuery.js for the query shape
+          result = { success: true, data: queryDeals(await storage.getAllDeals(), request.query || {}) };
+          break;
         case 'deleteDeal':
           result = await handleDeleteDeal(request.dealId);
           break;
         case 'updateDealNotes':
           result = await handleUpdateDealNotes(request.dealId, request.notes);
           break;
+        case 'setDealTags':
+          result = await handleSetDealTags(request.dealId, request.tags);
+          break;
+        case 'setDealPriority':
+          result = await handleSetDealPriority(request.dealId, request.priority);
+          break;
+        case 'setDealAlertPreferences':
+          result = await handleSetDealAlertPreferences(request.dealId, request.preferences);
+          break;
+        case 'getDealConfig':
+          result = await handleGetDealConfig(request.dealId);
+          break;
+        case 'updateDealExpiry':
+          result = await handleUpdateDealExpiry(request.data);
+          break;
+        case 'confirmExpiry':
+          result = await handleConfirmExpiry(request.dealId, request.expiryDate);
+          break;
+        case 'snoozeDealReminders':
+          result = await handleSnoozeDealReminders(request.dealId, request.minutes);
+          break;
+        case 'muteDealReminders':
+          result = await handleMuteDealReminders(request.dealId, request.muted);
+          break;
+        case 'setTargetPrice':
+          result = await handleSetTargetPrice(request.dealId, request.targetPrice);
+          break;
+        case 'getSelectorProfile':
+          result = { success: true, data: currentConfig.selectorProfileOverride || null };
+          break;
+        case 'reportSelectorsBroken':
+          result = await handleReportSelectorsBroken(request.data, sender);
+          break;
+        case 'getRestockSourceHealth':
+          result = { success: true, data: await storage.getRestockSourceHealth() };
+          break;
+        case 'getWatchRules':
+          result = { success: true, data: await storage.getWatchRules() };
+          break;
+        case 'saveWatchRule':
+          result = await handleSaveWatchRule(request.data);
+          break;
+        case 'deleteWatchRule':
+          result = await handleDeleteWatchRule(request.ruleId);
+          break;
+        case 'testWatchRule':
+          result = await handleTestWatchRule(request.expression);
+          break;
+        case 'getWatchRuleMatches':
+          result = await handleGetWatchRuleMatches();
+          break;
+        case 'saveWatchRuleMatch':
+          result = await handleSaveWatchRuleMatch(request.matchKey);
+          break;
+        case 'testWebhook':
+          result = await handleTestWebhook();
+          break;
+        case 'getWebhookOutbox':
+          result = { success: true, data: await webhooks.getOutbox() };
+          break;
+        case 'retryWebhookOutbox':
+          result = await handleRetryWebhookOutbox(request.eventIds);
+          break;
+        case 'clearWebhookOutbox':
+          result = await handleClearWebhookOutbox(request.all);
+          break;
+        case 'getDiagnostics': // Activity log and state for the options page and bug reports
+          result = await handleGetDiagnostics(request.options);
+          break;
+        case 'exportDiagnostics':
+          result = await handleExportDiagnostics(request.options);
+          break;
+        case 'clearActivityLog':
+          await activity.clear();
+          result = { success: true, message: 'Activity log cleared.' };
+          break;
+        case 'getSelectorDiagnostics':
+          result = { success: true, data: await storage.getSelectorDiagnostics() };
+          break;
+        case 'getSettings':
+          result = await handleGetSettings();
+          break;
+        case 'saveSettings':
+          result = await handleSaveSettings(request.settings, request.replace);
+          break;
         case 'refreshConfig': // Action to explicitly reload config (e.g., after options save)
             await loadAndApplyConfig();
             result = { success: true, message: 'Configuration reloaded and alarms updated.' };
@@ -129,14 +339,71 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Listener for notification clicks
 chrome.notifications.onClicked.addListener(async (notificationId) => {
   console.log(`Notification clicked: ${notificationId}`);
-  const dealUrl = await notifier.getDealUrlFromNotificationId(notificationId);
+  const target = await notifier.getNotificationTarget(notificationId);
 
-  if (dealUrl) {
-    chrome.tabs.create({ url: dealUrl });
+  if (target && target.dealUrl) {
+    chrome.tabs.create({ url: target.dealUrl });
+  } else if (target && target.kind === 'batch') {
+    // A grouped alert covers several deals; show the watchlist instead of one of them.
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup_ui.html') });
   } else {
     console.warn(`No URL found for notificationId: ${notificationId}`);
   }
+  clearNotification(notificationId);
+});
 
+// Listener for notification action buttons (see BUTTONS_BY_KIND in notificationService.js)
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  console.log(`Notification button ${buttonIndex} clicked: ${notificationId}`);
+  await configReady;
+  const resolved = await notifier.resolveButtonAction(notificationId, buttonIndex);
+  if (!resolved) {
+    console.warn(`No action found for button ${buttonIndex} of notification ${notificationId}`);
+    return;
+  }
+  try {
+    await handleNotificationAction(resolved);
+  } catch (error) {
+    console.error(`Error handling notification action ${resolved.action} for deal ID ${resolved.dealId}:`, error);
+  }
+  clearNotification(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  notifier.forgetNotification(notificationId);
+});
+
+// Webhook events wait in the outbox while their origin isn't granted; the options
+// page asks for it, and once it's allowed they go out straight away.
+chrome.permissions.onAdded.addListener(async () => {
+  await configReady;
+  try {
+    const { resumed } = await webhooks.resumeWaiting();
+    if (resumed > 0) console.log(`Host access granted; resent ${resumed} waiting webhook event(s).`);
+  } catch (error) {
+    console.error('Error resending waiting webhook events:', error);
+  }
+});
+
+// Tell open AppSumo tabs when saved deals change so their in-page badges refresh
+// (see dealStateBadges.js). Tabs without the content script are ignored.
+storage.onDealsChanged(async (changes) => {
+  const dealIds = changes
+    .filter(({ before, after }) => !before || !after ||
+      DEAL_STATE_FIELDS.some((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])))
+    .map(({ id }) => id);
+  if (dealIds.length === 0) return;
+  try {
+    const tabs = await chrome.tabs.query({ url: '*://*.appsumo.com/*' });
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { action: 'dealStatesChanged', dealIds }).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('Could not notify AppSumo tabs of deal changes:', error);
+  }
+});
+
+function clearNotification(notificationId) {
   chrome.notifications.clear(notificationId, (wasCleared) => {
     if (wasCleared) {
       console.log(`Notification ${notificationId} cleared.`);
@@ -144,23 +411,145 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
       console.warn(`Notification ${notificationId} could not be cleared.`);
     }
   });
-});
+}
+
+async function handleNotificationAction({ action, dealId, dealUrl }) {
+  switch (action) {
+    case NOTIFICATION_ACTIONS.openDeal:
+      if (dealUrl) chrome.tabs.create({ url: dealUrl });
+      break;
+    case NOTIFICATION_ACTIONS.snooze:
+      await handleSnoozeDealReminders(dealId, 24 * 60);
+      break;
+    case NOTIFICATION_ACTIONS.markPurchased:
+      await storage.updateDealStatus(dealId, DEAL_STATUSES.purchased, { reason: 'notification' });
+      console.log(`Deal ID ${dealId} marked as purchased from notification.`);
+      break;
+    case NOTIFICATION_ACTIONS.stopWatching:
+      await storage.updateDealStatus(dealId, DEAL_STATUSES.ignored, { reason: 'notification' });
+      console.log(`Deal ID ${dealId} no longer watched (from notification).`);
+      break;
+    case NOTIFICATION_ACTIONS.saveToWatchlist:
+      await handleSaveWatchRuleMatch(dealId); // dealId is the watch rule match key
+      break;
+    default:
+      console.warn(`Unknown notification action: ${action}`);
+  }
+}
 
-async function handleSaveDeal(dealData) {
-  if (!dealData || !dealData.id || !dealData.title || !dealData.url) {
-    throw new Error('Invalid deal data: id, title, and url are required.');
+// Save captured deal data. With notify false the save confirmation is left to the
+// caller (bulk saves show one for the whole batch).
+async function handleSaveDeal(dealData, { notify = true } = {}) {
+  if (!dealData || !dealData.title || !dealData.url) {
+    throw new Error('Invalid deal data: title and url are required.');
   }
+  // The content script only sends what it scraped; the stable ID and canonical URL
+  // are derived here so listing cards, product pages and redirects map to one deal.
+  const identity = resolveDealIdentity(dealData);
+  if (!identity) {
+    throw new Error(`Invalid deal data: could not parse deal URL "${dealData.url}".`);
+  }
+  // Expiry fields are left out of the merge and recorded as an expiry observation
+  // below, so a re-save that moves the deadline shows up in the expiry history.
+  const { canonicalUrl, expiryDate, expiryConfidence, expiryPrecisionMs, expiryText, ...capturedData } = dealData;
   const savedDate = new Date().toISOString();
   const dealToSave = {
-    ...dealData,
+    ...capturedData,
+    id: dealData.id || identity.id,
+    url: identity.url,
+    urlAliases: identity.urlAliases,
     dateSaved: savedDate,
-    status: 'watching'
+    status: DEAL_STATUSES.watching,
+    statusHistory: [{ from: null, to: DEAL_STATUSES.watching, at: savedDate, reason: 'saved' }],
+    tags: [],
+    priority: DEAL_PRIORITIES.normal,
+    alertPreferences: {},
   };
 
-  await storage.addDeal(dealToSave);
-  notifier.showSaveConfirmation(dealToSave.title);
-  console.log(`Deal saved: ${dealToSave.title} (ID: ${dealToSave.id})`);
-  return { success: true, message: 'Deal saved successfully!', deal: dealToSave };
+  // Saving a deal that is already stored (same ID or URL) merges into the existing record.
+  const { deal: mergedDeal, created } = await storage.addDeal(dealToSave);
+  // Keep a history of every distinct price/tier/review snapshot seen for this deal.
+  await storage.updateDeal(mergedDeal.id, (current) => {
+    const pricingChanges = recordPricingObservation(current, dealData);
+    return { ...pricingChanges, pricingAlertState: seedPricingAlertState({ ...current, ...pricingChanges }) };
+  });
+  // A low-confidence parse (ambiguous date, "ends in 3 days") is kept but flagged
+  // (expiryNeedsReview) so the UI can ask the user to confirm it, and the checks
+  // won't act on it alone.
+  const { deal: savedDeal } = await applyExpiryObservation(mergedDeal.id, {
+    expiryDate, confidence: expiryConfidence, precisionMs: expiryPrecisionMs, text: expiryText, source: 'capture',
+  });
+  if (!created) {
+    console.log(`Deal already saved, details updated: ${savedDeal.title} (ID: ${savedDeal.id})`);
+    return { success: true, message: 'Deal already on your watchlist. Details updated.', deal: savedDeal, created: false };
+  }
+  if (notify) notifier.showSaveConfirmation(savedDeal.title);
+  console.log(`Deal saved: ${savedDeal.title} (ID: ${savedDeal.id})`);
+  if (savedDeal.expiryNeedsReview) {
+    return { success: true, message: 'Deal saved, but its expiry date is a guess. Please confirm it.', deal: savedDeal, created: true };
+  }
+  return { success: true, message: 'Deal saved successfully!', deal: savedDeal, created: true };
+}
+
+// What the in-page badge shows for a deal.
+function toDealState(deal) {
+  return {
+    dealId: deal.id,
+    status: deal.status,
+    expiryDate: deal.expiryDate || null,
+    expiryNeedsReview: Boolean(deal.expiryNeedsReview),
+    priority: deal.priority || null,
+  };
+}
+
+// Save several captured deals, one after another. Each result is { url, success,
+// created, message, state } in the order the deals were sent; one failing deal
+// doesn't stop the rest.
+async function handleSaveDeals(dealsData) {
+  if (!Array.isArray(dealsData) || dealsData.length === 0) {
+    throw new Error('No deals to save.');
+  }
+  if (dealsData.length > MAX_BULK_SAVE) {
+    throw new Error(`At most ${MAX_BULK_SAVE} deals can be saved at once.`);
+  }
+  const results = [];
+  for (const dealData of dealsData) {
+    try {
+      const saved = await handleSaveDeal(dealData, { notify: false });
+      results.push({ url: dealData.url, success: true, created: saved.created, message: saved.message, state: toDealState(saved.deal) });
+    } catch (error) {
+      console.error(`Error saving deal ${dealData && dealData.url} in bulk:`, error);
+      results.push({ url: dealData && dealData.url, success: false, created: false, message: error.message, state: null });
+    }
+  }
+  const created = results.filter((result) => result.created).length;
+  const updated = results.filter((result) => result.success && !result.created).length;
+  const failed = results.length - created - updated;
+  if (created > 0) notifier.showBulkSaveConfirmation(created);
+  console.log(`Bulk save: ${created} saved, ${updated} already saved, ${failed} failed.`);
+  return {
+    success: failed < results.length,
+    message: `${created} saved, ${updated} already on your watchlist${failed > 0 ? `, ${failed} failed` : ''}.`,
+    data: results,
+  };
+}
+
+// Badge states for the deals behind a list of page URLs: { [url]: state | null },
+// null for URLs that aren't saved. See toDealState.
+async function handleGetDealStates(urls) {
+  if (!Array.isArray(urls)) {
+    throw new Error('A list of URLs is required.');
+  }
+  const dealsByUrl = new Map();
+  for (const deal of await storage.getAllDeals()) {
+    for (const url of getDealUrls(deal)) dealsByUrl.set(url, deal);
+  }
+  const states = {};
+  for (const url of urls) {
+    const deal = typeof url === 'string' ? dealsByUrl.get(canonicalizeDealUrl(url)) : null;
+    states[url] = deal ? toDealState(deal) : null;
+  }
+  return { success: true, data: states };
 }
 
 async function handleMarkAsMissed(dealId) {
@@ -169,15 +558,55 @@ async function handleMarkAsMissed(dealId) {
   const deal = await storage.getDealById(dealId);
   if (!deal) throw new Error(`Deal with ID ${dealId} not found.`);
 
-  await storage.updateDealStatus(dealId, 'missed');
+  await storage.updateDealStatus(dealId, DEAL_STATUSES.missed, { reason: 'user' });
   console.log(`Deal marked as missed: ${deal.title} (ID: ${dealId})`);
   return { success: true, message: `Deal "${deal.title}" marked as missed.` };
 }
 
+// Record a purchase. `purchase` is { purchasedAt, pricePaid, currency, tier,
+// licenseNotes }, all optional (see normalizePurchase in dealLifecycle.js).
+async function handleMarkAsPurchased(dealId, purchase) {
+  if (!dealId) throw new Error('Deal ID is required to mark as purchased.');
+
+  const deal = await storage.updateDealStatus(dealId, DEAL_STATUSES.purchased, { reason: 'user', purchase });
+  console.log(`Deal marked as purchased: ${deal.title} (ID: ${dealId})`);
+  return { success: true, message: `Deal "${deal.title}" marked as purchased.`, deal };
+}
+
+// Edit the purchase details of a deal that is already marked purchased.
+async function handleUpdatePurchaseDetails(dealId, purchase) {
+  if (!dealId) throw new Error('Deal ID is required to update purchase details.');
+  if (!purchase || typeof purchase !== 'object') throw new Error('Purchase details are required.');
+
+  const deal = await storage.updateDeal(dealId, (current) => {
+    if (current.status !== DEAL_STATUSES.purchased) {
+      throw new Error(`Deal "${current.title}" is not marked as purchased.`);
+    }
+    const existing = current.purchase || {};
+    return { purchase: normalizePurchase({ ...existing, ...purchase }, existing.purchasedAt) };
+  });
+  console.log(`Purchase details updated for deal ${deal.title} (ID: ${dealId})`);
+  return { success: true, message: 'Purchase details updated.', deal };
+}
+
+// Generic status change (ignore, archive, unarchive, ...). Rejected if the
+// lifecycle table doesn't allow the move.
+async function handleSetDealStatus(dealId, status) {
+  if (!dealId) throw new Error('Deal ID is required to change its status.');
+  if (!status) throw new Error('Status is required.');
+
+  const deal = await storage.updateDealStatus(dealId, status, { reason: 'user' });
+  console.log(`Deal ${deal.title} (ID: ${dealId}) status set to ${status}.`);
+  return { success: true, message: `Deal "${deal.title}" is now ${status}.`, deal };
+}
+
 async function handleDeleteDeal(dealId) {
   if (!dealId) throw new Error('Deal ID is required to delete a deal.');
 
-  await storage.deleteDeal(dealId);
+  const wasDeleted = await storage.deleteDeal(dealId);
+  if (!wasDeleted) {
+    return { success: false, message: `Deal with ID ${dealId} not found.` };
+  }
   console.log(`Deal deleted: (ID: ${dealId})`);
   return { success: true, message: 'Deal deleted successfully.' };
 }
@@ -191,161 +620,776 @@ async function handleUpdateDealNotes(dealId, notes) {
   return { success: true, message: 'Deal notes updated.' };
 }
 
+// Replace a deal's tags. tags is a list of strings (or one comma-separated string).
+async function handleSetDealTags(dealId, tags) {
+  if (!dealId) throw new Error('Deal ID is required to set tags.');
+  const deal = await storage.updateDeal(dealId, { tags: normalizeTags(tags) });
+  console.log(`Tags updated for deal ${deal.title} (ID: ${dealId}): ${deal.tags.join(', ') || 'none'}`);
+  return { success: true, message: 'Deal tags updated.', deal };
+}
+
+async function handleSetDealPriority(dealId, priority) {
+  if (!dealId) throw new Error('Deal ID is required to set a priority.');
+  if (!isValidPriority(priority)) {
+    throw new Error(`Priority must be one of: ${Object.values(DEAL_PRIORITIES).join(', ')}.`);
+  }
+  const deal = await storage.updateDeal(dealId, { priority });
+  console.log(`Priority of deal ${deal.title} (ID: ${dealId}) set to ${priority}.`);
+  return { success: true, message: `Deal priority set to ${priority}.`, deal };
+}
+
+// Merge alert preference overrides into the deal's; a null value removes that
+// override. See normalizeAlertPreferences in dealPreferences.js for the fields.
+async function handleSetDealAlertPreferences(dealId, preferences) {
+  if (!dealId) throw new Error('Deal ID is required to set alert preferences.');
+  const deal = await storage.updateDeal(dealId, (current) => ({
+    alertPreferences: normalizeAlertPreferences(preferences, current.alertPreferences),
+  }));
+  console.log(`Alert preferences updated for deal ${deal.title} (ID: ${dealId}).`);
+  return { success: true, message: 'Deal alert preferences updated.', deal, data: resolveDealConfig(deal, currentConfig) };
+}
+
+// The settings the checks use for a deal, after its overrides and priority.
+async function handleGetDealConfig(dealId) {
+  const deal = await storage.getDealById(dealId);
+  if (!deal) throw new Error(`Deal with ID ${dealId} not found.`);
+  return { success: true, data: resolveDealConfig(deal, currentConfig) };
+}
+
+// Store an expiry reading for a saved deal (see recordExpiryObservation in
+// expiryTracking.js) and announce extensions, cuts and last-call banners.
+// Pass notify: false for changes the user made themselves.
+async function applyExpiryObservation(dealId, observation, { notify = true } = {}) {
+  let events = [];
+  const deal = await storage.updateDeal(dealId, (current) => {
+    const result = recordExpiryObservation(current, observation);
+    events = result.events;
+    return result.changes;
+  });
+  for (const event of events) {
+    console.log(`Deal ${deal.title} (ID: ${deal.id}) expiry ${event.type}: ${event.from || 'unknown'} -> ${event.to || 'unknown'}` +
+      `${event.revived ? ' (back on the watchlist)' : ''} (source: ${observation.source})`);
+    // Purchased, ignored and archived deals keep their history but get no alerts.
+    if (notify && isAlerting(deal)) notifier.showExpiryChangeAlert(deal, event);
+  }
+  return { deal, events };
+}
+
+// Expiry reported by the content script from a live countdown. Deals that aren't
+// saved are ignored; saved deals take the new expiry if it moved.
+async function handleUpdateDealExpiry(data) {
+  if (!data || (!data.url && !data.canonicalUrl)) {
+    throw new Error('Invalid expiry update: url is required.');
+  }
+  const newExpiry = new Date(data.expiryDate);
+  if (!data.expiryDate || isNaN(newExpiry.getTime())) {
+    throw new Error('Invalid expiry update: expiryDate must be an ISO 8601 date string.');
+  }
+
+  const deal = (data.canonicalUrl && await storage.getDealByUrl(data.canonicalUrl)) || await storage.getDealByUrl(data.url);
+  if (!deal) {
+    return { success: true, updated: false, message: 'Deal is not saved; nothing to update.' };
+  }
+
+  const { deal: updatedDeal } = await applyExpiryObservation(deal.id, {
+    expiryDate: newExpiry.toISOString(),
+    confidence: data.expiryConfidence || null,
+    precisionMs: data.expiryPrecisionMs,
+    text: data.expiryText,
+    source: data.source || 'countdown',
+  });
+  if (updatedDeal.expiryDate === deal.expiryDate) {
+    return { success: true, updated: false, message: 'Expiry unchanged.' };
+  }
+  const message = `Expiry for "${deal.title}" moved from ${deal.expiryDate || 'unknown'} to ${updatedDeal.expiryDate}.`;
+  return { success: true, updated: true, message };
+}
+
+// Confirm a deal's expiry after review, optionally correcting it. Clears the
+// low-confidence flag set when the expiry was guessed.
+async function handleConfirmExpiry(dealId, expiryDate) {
+  if (!dealId) throw new Error('Deal ID is required to confirm an expiry date.');
+  if (expiryDate !== undefined) {
+    const parsed = new Date(expiryDate);
+    if (typeof expiryDate !== 'string' || isNaN(parsed.getTime())) {
+      throw new Error('Expiry date must be an ISO 8601 date string.');
+    }
+    // A correction goes into the expiry history like any other reading.
+    await applyExpiryObservation(dealId, { expiryDate: parsed.toISOString(), confidence: 'confirmed', source: 'manual' }, { notify: false });
+  }
+
+  const deal = await storage.updateDeal(dealId, { expiryConfidence: 'confirmed', expiryNeedsReview: false });
+  console.log(`Expiry confirmed for deal ${deal.title} (ID: ${dealId}): ${deal.expiryDate}`);
+  return { success: true, message: 'Expiry date confirmed.', deal };
+}
+
+// Hold back a deal's expiry reminders for `minutes`. Stages that come due meanwhile
+// are folded into a single reminder when the snooze ends. 0 cancels the snooze.
+async function handleSnoozeDealReminders(dealId, minutes) {
+  if (!dealId) throw new Error('Deal ID is required to snooze reminders.');
+  if (typeof minutes !== 'number' || isNaN(minutes) || minutes < 0) {
+    throw new Error('Snooze duration must be a non-negative number of minutes.');
+  }
+
+  const snoozedUntil = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null;
+  const deal = await storage.updateDeal(dealId, (current) => ({
+    reminders: { ...getReminderState(current), snoozedUntil },
+  }));
+  console.log(`Reminders for deal ${deal.title} (ID: ${dealId}) ${snoozedUntil ? `snoozed until ${snoozedUntil}` : 'unsnoozed'}.`);
+  return { success: true, message: snoozedUntil ? 'Reminders snoozed.' : 'Reminder snooze cancelled.', deal };
+}
+
+// Turn a deal's expiry reminders off (muted: true) or back on (muted: false).
+async function handleMuteDealReminders(dealId, muted) {
+  if (!dealId) throw new Error('Deal ID is required to mute reminders.');
+  if (typeof muted !== 'boolean') throw new Error('Muted must be true or false.');
+
+  const deal = await storage.updateDeal(dealId, (current) => ({
+    reminders: { ...getReminderState(current), muted },
+  }));
+  console.log(`Reminders for deal ${deal.title} (ID: ${dealId}) ${muted ? 'muted' : 'unmuted'}.`);
+  return { success: true, message: muted ? 'Reminders muted.' : 'Reminders unmuted.', deal };
+}
+
+async function handleSetTargetPrice(dealId, targetPrice) {
+  if (!dealId) throw new Error('Deal ID is required to set a target price.');
+  if (targetPrice !== null && (typeof targetPrice !== 'number' || isNaN(targetPrice) || targetPrice < 0)) {
+    throw new Error('Target price must be a non-negative number, or null to clear it.');
+  }
+
+  // A new target starts a fresh price-drop baseline.
+  await storage.updateDeal(dealId, (deal) => ({
+    targetPrice,
+    pricingAlertState: { ...deal.pricingAlertState, priceDrop: {} },
+  }));
+  console.log(`Target price for deal ID ${dealId} set to ${targetPrice}`);
+  return { success: true, message: targetPrice === null ? 'Target price cleared.' : 'Target price updated.' };
+}
+
+async function handleReportSelectorsBroken(report, sender) {
+  if (!report || !Array.isArray(report.fields) || report.fields.length === 0) {
+    throw new Error('Invalid selector diagnostic: fields are required.');
+  }
+  const diagnostic = {
+    reportedAt: new Date().toISOString(),
+    profileId: report.profileId || null,
+    profileVersion: report.profileVersion || null,
+    pageUrl: report.pageUrl || (sender && sender.tab ? sender.tab.url : null),
+    fields: report.fields,
+  };
+  await storage.recordSelectorDiagnostic(diagnostic);
+  activity.record(ACTIVITY_TYPES.parseFailure, `Page selectors found nothing for: ${diagnostic.fields.map((f) => f.field).join(', ')}`, {
+    level: 'warn',
+    data: diagnostic,
+  });
+  console.warn(`Selectors broken on ${diagnostic.pageUrl} (profile ${diagnostic.profileId} v${diagnostic.profileVersion}): ` +
+    diagnostic.fields.map((f) => f.field).join(', '));
+  return { success: true, message: 'Selector diagnostic recorded.' };
+}
+
+// Re-read a deal's expiry from a page another check has just fetched, so extensions,
+// cuts and last-call banners are noticed even when the user never revisits the deal.
+// The expiry check fetches nothing itself: the pricing checks read the watched deals'
+// pages and the restock check the missed deals'. Returns the deal as stored afterwards.
+async function readExpiryFromPage(deal, page, run = null) {
+  const reading = extractExpiryFromHtml(page.html);
+  if (!reading.expiryDate && !reading.lastCall) {
+    activity.decision(run, deal, 'expiry_not_on_page', 'No expiry found on the deal page; keeping the stored one.', { status: page.status });
+    return deal;
+  }
+  const { deal: updatedDeal, events } = await applyExpiryObservation(deal.id, { ...reading, source: 'page_check' });
+  for (const event of events) {
+    activity.decision(run, updatedDeal, `expiry_${event.type}`, `Expiry on the page changed: ${event.from || 'unknown'} -> ${event.to || 'unknown'}` +
+      `${event.revived ? ' (back on the watchlist)' : ''}.`, { confidence: reading.confidence, text: reading.text });
+  }
+  return updatedDeal;
+}
+
+// Why no reminder is due for a deal, for the activity log.
+function describeNoReminder(deal, reminderStages, now) {
+  const state = getReminderState(deal);
+  if (state.muted) return 'Reminders are muted.';
+  if (state.snoozedUntil && new Date(state.snoozedUntil).getTime() > now.getTime()) {
+    return `Reminders are snoozed until ${state.snoozedUntil}.`;
+  }
+  const hoursLeft = (new Date(deal.expiryDate).getTime() - now.getTime()) / (60 * 60 * 1000);
+  const nextStage = reminderStages.filter((hours) => hours < hoursLeft && !state.firedStages.includes(hours))[0];
+  if (nextStage === undefined) return `${hoursLeft.toFixed(1)}h left; every reminder stage has already fired.`;
+  return `${hoursLeft.toFixed(1)}h left; next reminder at ${nextStage}h.`;
+}
+
 async function performExpiryChecks() {
   console.log('Performing expiry checks...');
-  const watchingDeals = await storage.getDealsByStatus('watching');
+  const watchingDeals = await storage.getDealsByStatus(DEAL_STATUSES.watching);
   const now = new Date();
-  // Use configured lead time from currentConfig
-  const leadTimeInMs = currentConfig.expiryWarningLeadTimeHours * 60 * 60 * 1000;
+  const run = activity.startRun('expiry', { data: { dealCount: watchingDeals.length } });
 
   for (const deal of watchingDeals) {
-    if (deal.expiryDate) {
-      try {
-        const expiry = new Date(deal.expiryDate);
-        if (isNaN(expiry.getTime())) {
-          console.warn(`Invalid expiry date for deal ${deal.title} (ID: ${deal.id}): ${deal.expiryDate}. Skipping.`);
-          continue;
-        }
+    if (!deal.expiryDate) {
+      activity.decision(run, deal, 'no_expiry', 'No expiry date known; nothing to remind about.');
+      continue;
+    }
+    try {
+      const expiry = new Date(deal.expiryDate);
+      if (isNaN(expiry.getTime())) {
+        console.warn(`Invalid expiry date for deal ${deal.title} (ID: ${deal.id}): ${deal.expiryDate}. Skipping.`);
+        activity.decision(run, deal, 'invalid_expiry', `Stored expiry "${deal.expiryDate}" is not a valid date; skipped.`);
+        continue;
+      }
 
-        if (expiry.getTime() < now.getTime()) {
-          console.log(`Deal ${deal.title} (ID: ${deal.id}) has expired. Marking as missed.`);
-          await storage.updateDealStatus(deal.id, 'missed');
-        } else if (typeof DateTimeHelper !== 'undefined' && DateTimeHelper.isImminent(now, expiry, leadTimeInMs)) {
-          console.log(`Deal ${deal.title} (ID: ${deal.id}) is expiring soon.`);
-          notifier.showExpiryWarning(deal);
-        } else if (typeof DateTimeHelper === 'undefined') {
-            console.warn("DateTimeHelper not available, cannot perform isImminent check accurately.");
-            // Fallback: check if expiry is within the lead time (less precise without proper date math helper)
-            if ((expiry.getTime() - now.getTime()) < leadTimeInMs) {
-                console.log(`Deal ${deal.title} (ID: ${deal.id}) is expiring soon (fallback check).`);
-                notifier.showExpiryWarning(deal);
-            }
+      if (expiry.getTime() < now.getTime()) {
+        if (deal.expiryNeedsReview) {
+          // Don't act on a guessed expiry; it stays flagged until the user confirms it.
+          console.warn(`Deal ${deal.title} (ID: ${deal.id}) passed its low-confidence expiry (${deal.expiryText || deal.expiryDate}). Not marking as missed until confirmed.`);
+          activity.decision(run, deal, 'expiry_needs_review', `Passed its low-confidence expiry (${deal.expiryText || deal.expiryDate}); not marked missed until confirmed.`);
+          continue;
         }
-      } catch (error) {
-        console.error(`Error processing expiry for deal ${deal.title} (ID: ${deal.id}):`, error);
+        console.log(`Deal ${deal.title} (ID: ${deal.id}) has expired. Marking as missed.`);
+        await storage.updateDealStatus(deal.id, DEAL_STATUSES.missed, { reason: 'expiry_check' });
+        activity.decision(run, deal, 'marked_missed', `Expired at ${deal.expiryDate}; marked as missed.`);
+        continue;
       }
+      // Reminder stages from currentConfig, capped at the deal's lead time (its own
+      // override, its priority's, or the global one).
+      const { expiryWarningLeadTimeHours } = resolveDealConfig(deal, currentConfig);
+      const reminderStages = getReminderStages(currentConfig.expiryReminderStagesHours, expiryWarningLeadTimeHours);
+      let reminder = evaluateExpiryReminder(deal, reminderStages, now);
+      let updatedDeal = deal;
+      if (reminder.stage !== null) {
+        // Re-evaluate under the storage lock so a stage can't fire twice.
+        updatedDeal = await storage.updateDeal(deal.id, (current) => {
+          reminder = evaluateExpiryReminder(current, reminderStages, now);
+          return reminder.reminders ? { reminders: reminder.reminders } : {};
+        });
+      }
+      if (reminder.stage !== null) {
+        console.log(`Deal ${deal.title} (ID: ${deal.id}) is expiring soon: ${reminder.stage}h reminder, ${reminder.hoursLeft.toFixed(1)}h left.`);
+        notifier.showExpiryWarning(updatedDeal, { stageHours: reminder.stage, hoursLeft: reminder.hoursLeft });
+        activity.decision(run, deal, 'reminder_sent', `The ${reminder.stage}h reminder is due: ${reminder.hoursLeft.toFixed(1)}h left.`, {
+          stageHours: reminder.stage,
+          stages: reminderStages,
+        });
+      } else {
+        activity.decision(run, deal, 'no_reminder_due', describeNoReminder(updatedDeal, reminderStages, now), { stages: reminderStages });
+      }
+    } catch (error) {
+      console.error(`Error processing expiry for deal ${deal.title} (ID: ${deal.id}):`, error);
+      activity.record(ACTIVITY_TYPES.error, `Error processing expiry: ${error.message}`, { level: 'error', run, deal });
     }
   }
+  await activity.finishRun(run);
   console.log('Expiry checks completed.');
 }
 
-// Helper function to check if a deal page seems active
-async function checkDealPageActive(dealUrl) {
-  if (!dealUrl) return false;
+// Fetch a deal page's HTML. Never throws: network errors come back as { ok: false, status: 0 }.
+// Failures are added to the activity log under the given run and deal.
+async function fetchDealPage(dealUrl, { run = null, deal = null } = {}) {
+  const startedAt = Date.now();
+  let page;
   try {
-    const response = await fetch(dealUrl, { method: 'GET', redirect: 'follow', cache: 'no-store' });
-    // A simple check: if the page is accessible (2xx status).
-    // More sophisticated checks would involve parsing content to ensure it's not a "deal ended" page or 404.
-    if (response.ok) {
-        // const pageContent = await response.text();
-        // if (pageContent.toLowerCase().includes("deal has ended") || pageContent.toLowerCase().includes("not available")) {
-        //   return false; // Page indicates deal is not active
-        // }
-        return true; // Page is accessible
-    }
-    console.warn(`Deal page ${dealUrl} returned status ${response.status}. Marked as not active.`);
-    return false;
+    const response = await pageFetchQueue.fetch(dealUrl, { method: 'GET', redirect: 'follow', cache: 'no-store' });
+    const html = response.ok ? await response.text() : '';
+    page = { ok: response.ok, status: response.status, html, requestedUrl: dealUrl, finalUrl: response.url || dealUrl };
   } catch (error) {
-    console.error(`Error fetching deal page ${dealUrl} for activity check:`, error);
-    return false; // Network error or other issue implies not active
+    page = { ok: false, status: 0, html: '', requestedUrl: dealUrl, finalUrl: dealUrl, error: error.message };
+  }
+  if (!page.ok) {
+    activity.record(ACTIVITY_TYPES.fetchFailed, page.error ? `Fetch failed: ${page.error}` : `Page returned HTTP ${page.status}`, {
+      level: 'warn',
+      run,
+      deal,
+      data: { url: dealUrl, status: page.status, durationMs: Date.now() - startedAt },
+    });
   }
+  return page;
 }
 
-// Helper function to fetch current deal listings from a server/API
-async function fetchCurrentAppSumoDealsFromServer(apiEndpoint) {
-  if (!apiEndpoint) {
-    console.warn('Restock API endpoint not configured. Cannot fetch current deals.');
-    return [];
+// Refetch each watched deal's page and compare its pricing with the stored baseline
+// for one alert type: 'priceDrop', 'newTier' or 'tierSoldOut'.
+async function performPricingChecks(alertType) {
+  console.log(`Performing ${alertType} pricing checks...`);
+  const watchingDeals = await storage.getDealsByStatus('watching');
+  const run = activity.startRun(alertType, { data: { dealCount: watchingDeals.length } });
+
+  for (const deal of watchingDeals) {
+    if (!deal.url) {
+      activity.decision(run, deal, 'no_url', 'Deal has no URL to check.');
+      continue;
+    }
+    if (alertType === 'priceDrop' && (deal.targetPrice === undefined || deal.targetPrice === null)) {
+      activity.decision(run, deal, 'no_target_price', 'No target price set; nothing to compare against.');
+      continue;
+    }
+    try {
+      const page = await fetchDealPage(deal.url, { run, deal });
+      if (!page.ok) {
+        console.warn(`Pricing check for ${deal.title} (ID: ${deal.id}) skipped: page returned status ${page.status}.`);
+        activity.decision(run, deal, 'check_failed', `Skipped: the page returned status ${page.status}.`, { status: page.status });
+        continue;
+      }
+      await readExpiryFromPage(deal, page, run);
+      const pricing = extractPricingFromHtml(page.html);
+      if (pricing.price === null && pricing.tiers.length === 0) {
+        activity.record(ACTIVITY_TYPES.parseFailure, 'No price or tiers found on the deal page.', { level: 'warn', run, deal, data: { url: deal.url } });
+      }
+
+      // Evaluate against the latest stored record inside the update so a concurrent
+      // check can't slip in between reading the baseline and writing the new one.
+      let alert = null;
+      const updatedDeal = await storage.updateDeal(deal.id, (current) => {
+        const evaluation = evaluatePricingAlert(alertType, current, pricing);
+        alert = evaluation.alert;
+        return {
+          ...recordPricingObservation(current, pricing, { source: 'page_check' }),
+          pricingAlertState: { ...current.pricingAlertState, [alertType]: evaluation.alertState },
+        };
+      });
+
+      if (!alert) {
+        activity.decision(run, deal, 'no_change', alertType === 'priceDrop'
+          ? `Price ${pricing.price ?? 'unknown'} against target ${deal.targetPrice}; no alert due.`
+          : 'No tier change since the last check.', { price: pricing.price, tiers: pricing.tiers.length });
+        continue;
+      }
+      if (alert.type === 'priceDrop') {
+        console.log(`Price drop for ${deal.title} (ID: ${deal.id}): ${alert.price} (target ${alert.targetPrice}).`);
+        notifier.showPriceDropAlert(updatedDeal, alert);
+        activity.decision(run, deal, 'alert_sent', `Price ${alert.price} is at or below the target ${alert.targetPrice}.`, alert);
+      } else {
+        console.log(`Tier change (${alert.type}) for ${deal.title} (ID: ${deal.id}): ${alert.tiers.join(', ')}.`);
+        notifier.showTierChangeAlert(updatedDeal, alert);
+        activity.decision(run, deal, 'alert_sent', `Tier change (${alert.type}): ${alert.tiers.join(', ')}.`, alert);
+      }
+    } catch (error) {
+      console.error(`Error performing ${alertType} check for deal ${deal.title} (ID: ${deal.id}):`, error);
+      activity.record(ACTIVITY_TYPES.error, `Error performing ${alertType} check: ${error.message}`, { level: 'error', run, deal });
+    }
   }
-  try {
-    const response = await fetch(apiEndpoint, {
-      method: 'GET',
-      headers: { 'Accept': 'application/json' }, // Assuming a JSON API
-      cache: 'no-store' // Ensure fresh data
+  await activity.finishRun(run);
+  console.log(`${alertType} pricing checks completed.`);
+}
+
+// Classify a fetched deal page (active, sold_out, ended, redirected_to_other_product,
+// not_found or unknown). See dealPageClassifier.js for the signals used.
+function readDealPageState(page) {
+  const classification = classifyDealPage(page);
+  if (!page.ok) {
+    console.warn(`Deal page ${page.requestedUrl} returned status ${page.status}${page.error ? ` (${page.error})` : ''}.`);
+  }
+  return { ...classification, checkedAt: new Date().toISOString(), finalUrl: page.finalUrl };
+}
+
+// Fetch live listings from every configured restock source and store each
+// source's health for the options page. Failing sources are skipped. Sources that
+// haven't changed since the last run answer 304 and their cached listings are used.
+async function fetchCurrentAppSumoListings(run = null) {
+  const sources = getRestockSources(currentConfig);
+  const { listings, health, cache } = await fetchRestockListings(sources, {
+    cache: await storage.getRestockSourceCache(),
+    fetcher: (url, options, queueOptions) => pageFetchQueue.fetch(url, options, queueOptions),
+  });
+  await storage.recordRestockSourceHealth(health);
+  await storage.saveRestockSourceCache(cache);
+  for (const record of health) {
+    activity.record(ACTIVITY_TYPES.sourceFetch, record.status === 'error'
+      ? `Restock source ${record.sourceId} failed: ${record.error}`
+      : `Restock source ${record.sourceId}: ${record.listingCount} listings${record.notModified ? ' (not modified)' : ''}.`, {
+      level: record.status === 'error' ? 'warn' : 'info',
+      run,
+      data: record,
     });
-    if (!response.ok) {
-      console.error(`Error fetching current deals from ${apiEndpoint}: ${response.status} ${response.statusText}`);
-      return [];
+    if (record.status === 'error') {
+      console.warn(`Restock source ${record.sourceId} (${record.type}) failed: ${record.error}`);
+    } else {
+      console.log(`Restock source ${record.sourceId} (${record.type}): ${record.status}${record.notModified ? ' (not modified)' : ''}, ${record.listingCount} listings.`);
     }
-    const data = await response.json();
-    // Assuming the API returns an array of deal objects, each with at least 'title' and 'url'
-    // e.g., { deals: [{id, title, url,...}] } or directly [{id, title, url,...}]
-    return data.deals || (Array.isArray(data) ? data : []);
-  } catch (error) {
-    console.error(`Error fetching or parsing current deals from ${apiEndpoint}:`, error);
-    return [];
   }
+  return listings;
 }
 
-async function performRestockChecks() {
-  console.log('Performing restock checks...');
-  const missedDeals = await storage.getDealsByStatus('missed');
+// The restock run in progress in this worker, if any.
+let activeRestockRun = null;
 
-  for (const deal of missedDeals) {
-    try {
-      // 1. Check if the original deal URL is active again
-      if (deal.url) {
-        const isOriginalUrlActive = await checkDealPageActive(deal.url);
-        if (isOriginalUrlActive) {
-          console.log(`Deal ${deal.title} (ID: ${deal.id}) appears active again at original URL.`);
-          // Notify the user about the restock at the original URL
-          notifier.showRestockAlert(deal, {
-            ...deal, // Use original deal data
-            restockType: 'original_url_active',
-            notes: `The original page for "${deal.title}" seems to be active again.`
-          });
-          // Move the deal back to 'watching' status
-          await storage.updateDealStatus(deal.id, 'watching');
-          console.log(`Deal ${deal.title} (ID: ${deal.id}) moved back to watching list.`);
-          continue; // Processed this deal, move to the next one
-        }
-      }
+// Check every missed deal for a restock. Only one run happens at a time: an alarm
+// that fires during a run joins it. The run's pending deals are stored as it goes, so
+// if the service worker is stopped partway the next run (or the resume alarm) checks
+// only the deals that are left. With `resume`, nothing new is started.
+function performRestockChecks({ resume = false } = {}) {
+  if (!activeRestockRun) {
+    activeRestockRun = runRestockChecks({ resume }).finally(() => {
+      activeRestockRun = null;
+    });
+  }
+  return activeRestockRun;
+}
+
+async function runRestockChecks({ resume }) {
+  let run = await storage.getRestockRun();
+  if (run && Date.now() - new Date(run.startedAt).getTime() > RESTOCK_RUN_MAX_AGE_MS) {
+    console.warn(`Dropping restock run ${run.id} from ${run.startedAt}: too old to resume.`);
+    await storage.clearRestockRun();
+    run = null;
+  }
+  if (run) {
+    console.log(`Resuming restock run ${run.id}: ${run.pendingDealIds.length} deals left, ${run.checkedCount || 0} already checked.`);
+  } else if (resume) {
+    await chrome.alarms.clear(RESTOCK_RESUME_ALARM_NAME); // Nothing left to resume
+    return;
+  } else {
+    console.log('Performing restock checks...');
+    const missedDeals = await storage.getDealsByStatus(DEAL_STATUSES.missed);
+    const startedAt = new Date().toISOString();
+    run = { id: `restock-${Date.now()}`, startedAt, updatedAt: startedAt, pendingDealIds: missedDeals.map((deal) => deal.id), checkedCount: 0 };
+    await storage.saveRestockRun(run);
+  }
+  // The stored run's id is reused, so a resumed run's entries sit with the original ones.
+  const activityRun = activity.startRun('restock', {
+    id: run.id,
+    data: { pendingDeals: run.pendingDealIds.length, alreadyChecked: run.checkedCount || 0, resumed: run.checkedCount > 0 },
+  });
+  chrome.alarms.create(RESTOCK_RESUME_ALARM_NAME, { delayInMinutes: RESTOCK_RESUME_INTERVAL_MINUTES, periodInMinutes: RESTOCK_RESUME_INTERVAL_MINUTES });
 
-      // 2. Fetch current AppSumo listings and check for similar deals (if original URL not active)
-      const currentAppSumoDeals = await fetchCurrentAppSumoDealsFromServer(currentConfig.restockApiEndpoint);
-      if (currentAppSumoDeals.length > 0) {
-        for (const currentDeal of currentAppSumoDeals) {
-          // Ensure both deals have titles for comparison
-          if (deal.title && currentDeal.title && currentDeal.url) {
-            let isSimilar;
-            if (typeof StringSimilarityScorer !== 'undefined') {
-                 const scorer = new StringSimilarityScorer(); // Instantiate if available
-                 isSimilar = scorer.isSimilar(deal.title, currentDeal.title, currentConfig.similarityThreshold);
-            } else {
-                // Fallback basic similarity: case-insensitive equality or simple substring check.
-                // This is a very basic fallback.
-                isSimilar = deal.title.toLowerCase() === currentDeal.title.toLowerCase() ||
-                            deal.title.toLowerCase().includes(currentDeal.title.toLowerCase()) ||
-                            currentDeal.title.toLowerCase().includes(deal.title.toLowerCase());
-                if (isSimilar) console.warn("StringSimilarityScorer not available, using basic title match for restock check.");
-            }
-
-            if (isSimilar) {
-              console.log(`Potential restock for (missed deal) "${deal.title}" (ID: ${deal.id}) found: New listing "${currentDeal.title}"`);
-              // Notify user about a similar new listing
-              notifier.showRestockAlert(deal, { // Pass original deal for context in notification
-                ...currentDeal, // Provide new deal's data for the notification content
-                originalMissedDealTitle: deal.title,
-                originalMissedDealId: deal.id,
-                restockType: 'similar_new_listing',
-                notes: `A similar deal titled "${currentDeal.title}" is now available. Your missed deal was "${deal.title}".`
-              });
-              // Optionally, you could mark the old deal with a special status like 'found_similar'
-              // or leave it as 'missed' and let the user decide. For now, just notify.
-              break; // Found a similar deal, stop checking other current deals for this missed deal
-            }
-          }
+  // Listings are fetched lazily, once per run, and only if a deal needs them.
+  let listingsPromise = null;
+  const getListings = () => (listingsPromise ||= fetchCurrentAppSumoListings(activityRun));
+
+  // Deals are checked side by side; pageFetchQueue keeps the actual requests bounded.
+  const dealsById = new Map((await storage.getAllDeals()).map((deal) => [deal.id, deal]));
+  await Promise.all(run.pendingDealIds.map(async (dealId) => {
+    const deal = dealsById.get(dealId);
+    // Deals bought, dismissed or deleted since the run started are skipped.
+    if (deal && deal.status === DEAL_STATUSES.missed) {
+      await checkMissedDealForRestock(deal, getListings, activityRun);
+    } else {
+      activity.decision(activityRun, deal || { id: dealId }, 'not_missed',
+        deal ? `Status changed to ${deal.status} since the run started; skipped.` : 'Deleted since the run started; skipped.');
+    }
+    await storage.completeRestockRunDeal(run.id, dealId);
+  }));
+  await checkWatchRules(getListings, activityRun);
+
+  await storage.clearRestockRun();
+  await chrome.alarms.clear(RESTOCK_RESUME_ALARM_NAME);
+  await activity.finishRun(activityRun);
+  console.log('Restock checks completed.');
+}
+
+async function checkMissedDealForRestock(deal, getListings, run = null) {
+  try {
+    // 1. Check if the original deal page is live again. AppSumo serves ended and
+    // sold-out pages with a 200, so only a confident "active" classification counts.
+    let pageState = null;
+    if (deal.url) {
+      const page = await fetchDealPage(deal.url, { run, deal });
+      // An extended deadline puts the deal back on the watchlist (see recordExpiryObservation).
+      if (page.ok && (await readExpiryFromPage(deal, page, run)).status === DEAL_STATUSES.watching) {
+        console.log(`Deal ${deal.title} (ID: ${deal.id}) was extended and moved back to watching list.`);
+        return;
+      }
+      pageState = readDealPageState(page);
+      let restocked = false;
+      const updatedDeal = await storage.updateDeal(deal.id, (current) => {
+        // Only a deal that is still missed moves back to 'watching': the user may have
+        // bought or dismissed it while the page was being fetched.
+        if (pageState.state !== PAGE_STATES.active || !pageState.confident || current.status !== DEAL_STATUSES.missed) {
+          return { lastPageState: pageState };
         }
+        restocked = true;
+        return {
+          ...transitionDeal(current, DEAL_STATUSES.watching, { reason: 'restock_check' }),
+          lastPageState: pageState,
+          lastRestock: { detectedAt: pageState.checkedAt, restockType: 'original_url_active' },
+        };
+      });
+      if (restocked) {
+        console.log(`Deal ${deal.title} (ID: ${deal.id}) appears active again at original URL. Evidence: ${pageState.evidence.join('; ')}`);
+        // Notify the user about the restock at the original URL
+        notifier.showRestockAlert(updatedDeal, {
+          ...updatedDeal, // Use original deal data
+          restockType: 'original_url_active',
+          notes: `The original page for "${deal.title}" seems to be active again.`
+        });
+        console.log(`Deal ${deal.title} (ID: ${deal.id}) moved back to watching list.`);
+        activity.decision(run, deal, 'restocked', 'The original page is active again; moved back to watching.', { evidence: pageState.evidence });
+        return;
       }
+      if (!isAlerting(updatedDeal)) {
+        // Purchased, ignored or archived during the run
+        activity.decision(run, deal, 'not_missed', `Status changed to ${updatedDeal.status} during the check; skipped.`);
+        return;
+      }
+      console.log(`Deal ${deal.title} (ID: ${deal.id}) page state: ${pageState.state} (${pageState.confidence} confidence). Evidence: ${pageState.evidence.join('; ')}`);
+    }
+
+    // 2. Check the current AppSumo listings for a similar deal (if original URL not active)
+    const currentAppSumoDeals = await getListings();
+    const ownUrl = canonicalizeDealUrl(deal.url);
+    // The deal's own page was classified above; only other listings count here.
+    const otherListings = currentAppSumoDeals.filter((listing) => !ownUrl || (listing.canonicalUrl || listing.url) !== ownUrl);
+    const { similarityThreshold } = resolveDealConfig(deal, currentConfig);
+    const best = findBestListingMatch(
+      { title: deal.title, slug: extractProductSlug(deal.url), vendor: deal.vendor },
+      otherListings,
+      similarityThreshold,
+    );
+    if (best) {
+      const { listing, match } = best;
+      console.log(`Potential restock for (missed deal) "${deal.title}" (ID: ${deal.id}) found: New listing "${listing.title}" (${match.explanation})`);
+      // Notify user about a similar new listing
+      notifier.showRestockAlert(deal, { // Pass original deal for context in notification
+        ...listing, // Provide new deal's data for the notification content
+        originalMissedDealTitle: deal.title,
+        originalMissedDealId: deal.id,
+        restockType: 'similar_new_listing',
+        match,
+        notes: `A similar deal titled "${listing.title}" is now available. Your missed deal was "${deal.title}".`
+      });
+      // The deal stays 'missed' and the user decides whether the new listing is the
+      // same product.
+      activity.decision(run, deal, 'similar_listing', `Similar listing "${listing.title}" found: ${match.explanation}.`, {
+        listingUrl: listing.url,
+        score: match.score,
+      });
+    } else {
+      const listingReason = `none of ${otherListings.length} other listings reached the ${similarityThreshold} match threshold.`;
+      activity.decision(run, deal, 'no_restock', pageState
+        ? `Page is ${pageState.state} (${pageState.confidence} confidence) and ${listingReason}`
+        : `No page to check and ${listingReason}`, pageState ? { evidence: pageState.evidence } : null);
+    }
+  } catch (error) {
+    console.error(`Error performing restock check for deal ${deal.title} (ID: ${deal.id}):`, error);
+    activity.record(ACTIVITY_TYPES.error, `Error performing restock check: ${error.message}`, { level: 'error', run, deal });
+  }
+}
+
+
+// Announce listings that match a watch rule, once per listing. Listings already on
+// the watchlist (in any status) are left out.
+async function checkWatchRules(getListings, run = null) {
+  const rules = (await storage.getWatchRules()).filter((rule) => rule.enabled !== false);
+  if (rules.length === 0) return;
+  try {
+    const listings = await getListings();
+    const knownUrls = new Set((await storage.getAllDeals()).flatMap(getDealUrls));
+    const results = evaluateWatchRules(rules, listings.filter((listing) => !knownUrls.has(listing.canonicalUrl || listing.url)));
+    const fresh = await storage.recordWatchRuleMatches(results.map(({ listing, ruleIds }) => ({
+      key: listing.canonicalUrl || listing.url,
+      title: listing.title,
+      url: listing.url,
+      price: listing.price,
+      currency: listing.currency,
+      vendor: listing.vendor,
+      category: listing.category,
+      sourceId: listing.sourceId,
+      ruleIds,
+    })));
+    const ruleNames = new Map(rules.map((rule) => [rule.id, rule.name]));
+    for (const match of fresh) {
+      console.log(`Listing "${match.title}" matches watch rules: ${match.ruleIds.map((id) => ruleNames.get(id)).join(', ')}.`);
+      notifier.showRuleMatchAlert(match, match.ruleIds.map((id) => ruleNames.get(id)));
+    }
+    console.log(`Watch rules checked: ${results.length} matching listings, ${fresh.length} new.`);
+    activity.record(ACTIVITY_TYPES.decision, `Watch rules: ${results.length} matching listings, ${fresh.length} new.`, {
+      run,
+      data: { decision: 'watch_rules', ruleCount: rules.length, newMatches: fresh.map((match) => match.url) },
+    });
+  } catch (error) {
+    console.error('Error checking watch rules:', error);
+    activity.record(ACTIVITY_TYPES.error, `Error checking watch rules: ${error.message}`, { level: 'error', run });
+  }
+}
+
+// Create a watch rule, or update one when data.id is set. data is { id?, name,
+// expression, enabled }; see watchRules.js for the expression syntax.
+async function handleSaveWatchRule(data) {
+  const rules = await storage.getWatchRules();
+  const existing = data && data.id ? rules.find((rule) => rule.id === data.id) : null;
+  if (data && data.id && !existing) {
+    throw new Error(`Watch rule with ID ${data.id} not found.`);
+  }
+  const rule = await storage.saveWatchRule(normalizeWatchRule(data, existing));
+  console.log(`Watch rule ${existing ? 'updated' : 'created'}: ${rule.name} (ID: ${rule.id})`);
+  return { success: true, message: existing ? 'Watch rule updated.' : 'Watch rule saved.', data: rule };
+}
+
+async function handleDeleteWatchRule(ruleId) {
+  if (!ruleId) {
+    throw new Error('Rule ID is required to delete a watch rule.');
+  }
+  await storage.deleteWatchRule(ruleId);
+  console.log(`Watch rule deleted: ID ${ruleId}`);
+  return { success: true, message: 'Watch rule deleted.' };
+}
+
+// Try an expression against the listings from the last restock run, so a rule can
+// be checked before it is saved.
+async function handleTestWatchRule(expression) {
+  const tree = parseWatchRule(expression);
+  const cache = await storage.getRestockSourceCache();
+  const listings = Object.values(cache).flatMap((entry) => entry.listings || []);
+  const matches = listings.filter((listing) => matchesWatchRule(tree, listing));
+  return {
+    success: true,
+    message: `${matches.length} of ${listings.length} current listings match.`,
+    data: { matches, listingCount: listings.length },
+  };
+}
+
+// Matches announced so far, newest first.
+async function handleGetWatchRuleMatches() {
+  const matches = Object.values(await storage.getWatchRuleMatches())
+    .sort((a, b) => b.firstMatchedAt.localeCompare(a.firstMatchedAt));
+  return { success: true, data: matches };
+}
+
+// Save a watch rule match to the watchlist.
+async function handleSaveWatchRuleMatch(matchKey) {
+  const match = (await storage.getWatchRuleMatches())[matchKey];
+  if (!match) {
+    throw new Error(`Watch rule match ${matchKey} not found.`);
+  }
+  const dealData = { title: match.title, url: match.url };
+  for (const field of ['price', 'currency', 'vendor', 'category']) {
+    if (match[field] !== null && match[field] !== undefined) dealData[field] = match[field];
+  }
+  const result = await handleSaveDeal(dealData);
+  await storage.markWatchRuleMatchSaved(matchKey, result.deal.id);
+  return result;
+}
+
+// The settings for the options page: { values (defaults merged with the valid stored
+// settings), errors (stored settings that fail validation, by key) }.
+async function handleGetSettings() {
+  const { values, errors } = validateSettings(await storage.getSettings());
+  return { success: true, data: { values: { ...getDefaultSettings(), ...values }, errors } };
+}
+
+// Validate and store settings, then apply them. `settings` holds the changed keys
+// and is merged over the stored settings; with `replace` it replaces them, so
+// saving {} restores every default. Nothing is stored if any value is invalid; the
+// result then carries the message for each field in data.errors.
+async function handleSaveSettings(settings, replace = false) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings must be an object.');
+  }
+  const { values, errors } = validateSettings(settings);
+  if (Object.keys(errors).length > 0) {
+    return { success: false, message: `Settings not saved. ${describeSettingsErrors(errors)}`, data: { errors } };
+  }
+  // Stored values that no longer validate are dropped rather than kept around.
+  const stored = replace ? {} : validateSettings(await storage.getSettings()).values;
+  const merged = { ...stored, ...values };
+  await storage.saveSettings(merged);
+  await storage.saveLastValidSettings(merged);
+  await loadAndApplyConfig();
+  console.log(`Settings saved: ${Object.keys(values).join(', ') || (replace ? 'all reset to defaults' : 'no changes')}.`);
+  return { success: true, message: 'Settings saved.', data: { values: currentConfig } };
+}
+
+// Send a test event straight to the configured webhook, bypassing the outbox, so
+// the options page can show whether the URL, format and signature work.
+async function handleTestWebhook() {
+  if (!webhooks.isConfigured()) {
+    throw new Error('No webhook URL is configured.');
+  }
+  const event = buildWebhookEvent({
+    kind: 'test',
+    deal: { id: 'test', title: 'SumoSignal test deal', url: 'https://appsumo.com/' },
+    title: 'SumoSignal test alert',
+    message: 'Your webhook is set up. Deal alerts will arrive like this.',
+  });
+  const status = await webhooks.deliver(event);
+  return { success: true, message: `Webhook answered HTTP ${status}.`, data: { status, eventId: event.id } };
+}
+
+// Put failed webhook events (or the given ones) back in the outbox queue.
+async function handleRetryWebhookOutbox(eventIds) {
+  if (eventIds !== undefined && eventIds !== null && !Array.isArray(eventIds)) {
+    throw new Error('eventIds must be a list of event IDs.');
+  }
+  const summary = await webhooks.retry(eventIds || null);
+  return {
+    success: true,
+    message: `${summary.retried} event(s) retried: ${summary.delivered} delivered, ${summary.pending} pending, ${summary.failed} failed.`,
+    data: summary,
+  };
+}
+
+async function handleClearWebhookOutbox(all) {
+  const removed = await webhooks.clear({ all: Boolean(all) });
+  return { success: true, message: `${removed} webhook event(s) removed.`, data: { removed } };
+}
+
+// Settings safe to put in a bug report: secrets are replaced by whether they are set,
+// and the webhook URL (Slack and Discord put their token in the path) by its origin.
+function redactSettings(config) {
+  const redacted = { ...config };
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+    if (field.secret) redacted[key] = config[key] ? '(set)' : null;
+  }
+  if (config.webhookUrl) {
+    try {
+      redacted.webhookUrl = `${new URL(config.webhookUrl).origin}/...`;
     } catch (error) {
-      console.error(`Error performing restock check for deal ${deal.title} (ID: ${deal.id}):`, error);
+      redacted.webhookUrl = '(invalid)';
     }
   }
-  console.log('Restock checks completed.');
+  return redacted;
+}
+
+// Everything needed to tell why a check did or didn't alert: the activity log
+// (newest first; `options` filters it, see ActivityLog.getEntries), the settings in
+// use, deal counts, restock source health, selector reports and the webhook outbox.
+async function handleGetDiagnostics(options = {}) {
+  // Report the stored settings, not the defaults a freshly started worker begins with,
+  // along with any stored values that failed validation and were replaced.
+  await configReady;
+  const { errors: settingsErrors } = validateSettings(await storage.getSettings());
+  const deals = await storage.getAllDeals();
+  const dealCounts = {};
+  for (const deal of deals) dealCounts[deal.status] = (dealCounts[deal.status] || 0) + 1;
+  const outbox = await webhooks.getOutbox();
+  return {
+    success: true,
+    data: {
+      generatedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      dealSchemaVersion: DEAL_SCHEMA_VERSION,
+      settings: redactSettings(currentConfig),
+      settingsErrors,
+      dealCounts,
+      restockRun: await storage.getRestockRun(),
+      restockSourceHealth: await storage.getRestockSourceHealth(),
+      selectorDiagnostics: await storage.getSelectorDiagnostics(),
+      webhookOutbox: {
+        pending: outbox.filter((entry) => entry.status === 'pending').length,
+        failed: outbox
+          .filter((entry) => entry.status === 'failed')
+          .map((entry) => ({ eventId: entry.event.id, type: entry.event.type, attempts: entry.attempts, lastError: entry.lastError })),
+      },
+      activity: await activity.getEntries(options || {}),
+    },
+  };
+}
+
+// Download the diagnostics as a JSON file to attach to a bug report.
+async function handleExportDiagnostics(options = {}) {
+  const { data } = await handleGetDiagnostics(options);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  try {
+    const downloadId = await downloadTextFile(JSON.stringify(data, null, 2), 'application/json', `sumosignal_diagnostics_${timestamp}.json`);
+    console.log(`Diagnostics export initiated (${data.activity.length} log entries). DownloadId: ${downloadId}`);
+    return { success: true, message: 'Diagnostics export initiated.' };
+  } catch (error) {
+    console.error('Diagnostics download failed:', error.message);
+    return { success: false, message: `Diagnostics export failed: ${error.message}` };
+  }
 }
 
 
-async function handleExportCsv() {
+// Export deals as CSV. `options` is { columns, statuses } (see generateCsv in
+// csvExporterService.js); both default to everything.
+async function handleExportCsv(options = {}) {
   console.log('Handling CSV export request...');
   const allDeals = await storage.getAllDeals();
 
@@ -354,30 +1398,123 @@ async function handleExportCsv() {
     return { success: true, message: 'No deals available to export.' };
   }
 
-  const csvString = csvExporter.generateCsv(allDeals);
+  const csvString = csvExporter.generateCsv(allDeals, options || {});
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `sumosignal_watchlist_${timestamp}.csv`;
-
   try {
-    const downloadId = await new Promise((resolve, reject) => {
-      chrome.downloads.download({
-        url: 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvString),
-        filename: filename,
-        saveAs: true
-      }, (id) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else if (id === undefined) {
-          reject(new Error('Download initiation failed: No download ID. Download might be blocked.'));
-        } else {
-          resolve(id);
-        }
-      });
-    });
+    const downloadId = await downloadTextFile(csvString, 'text/csv', `sumosignal_watchlist_${timestamp}.csv`);
     console.log(`CSV export initiated. DownloadId: ${downloadId}`);
     return { success: true, message: 'CSV export initiated.' };
   } catch (error) {
     console.error('CSV Download failed:', error.message);
     return { success: false, message: `CSV export failed: ${error.message}` };
   }
-}
\ No newline at end of file
+}
+
+// Export complete deal records as a JSON backup. `options` is { statuses }.
+async function handleExportJson(options = {}) {
+  const allDeals = await storage.getAllDeals();
+  const json = csvExporter.generateJsonBackup(allDeals, { statuses: options && options.statuses, schemaVersion: DEAL_SCHEMA_VERSION });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  try {
+    const downloadId = await downloadTextFile(json, 'application/json', `sumosignal_backup_${timestamp}.json`);
+    console.log(`JSON backup initiated (${allDeals.length} deals). DownloadId: ${downloadId}`);
+    return { success: true, message: 'JSON backup initiated.' };
+  } catch (error) {
+    console.error('JSON backup download failed:', error.message);
+    return { success: false, message: `JSON backup failed: ${error.message}` };
+  }
+}
+
+// Export watched deals' deadlines as an iCalendar file. Each event gets an alarm per
+// reminder stage the deal would be reminded at (see performExpiryChecks).
+async function handleExportIcs() {
+  const allDeals = await storage.getAllDeals();
+  const { ics, eventCount } = generateIcs(allDeals, {
+    alarmHoursFor: (deal) => getReminderStages(currentConfig.expiryReminderStagesHours, resolveDealConfig(deal, currentConfig).expiryWarningLeadTimeHours),
+  });
+  if (eventCount === 0) {
+    return { success: true, message: 'No watched deals with an expiry date to export.' };
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  try {
+    const downloadId = await downloadTextFile(ics, 'text/calendar', `sumosignal_deadlines_${timestamp}.ics`);
+    console.log(`Calendar export initiated (${eventCount} deals). DownloadId: ${downloadId}`);
+    return { success: true, message: `Calendar export initiated (${eventCount} deals).` };
+  } catch (error) {
+    console.error('Calendar download failed:', error.message);
+    return { success: false, message: `Calendar export failed: ${error.message}` };
+  }
+}
+
+// Import deals from a CSV export or JSON backup.
+// `data` is { text, format ('csv' | 'json', detected if omitted), apply,
+// conflictStrategy ('keepExisting' | 'useImported') }. Without apply the result is
+// a preview of what would be added, updated or conflict; nothing is stored.
+async function handleImportDeals(data) {
+  if (!data || typeof data.text !== 'string') {
+    throw new Error('Invalid import: file text is required.');
+  }
+  const parsed = csvExporter.parseImport(data.text, data.format || null);
+  const errors = [...parsed.errors];
+  const deals = [];
+  parsed.deals.forEach((deal, index) => {
+    const row = parsed.rows[index];
+    // Imported rows are identified the same way as captured deals.
+    const identity = resolveDealIdentity(deal);
+    if (!identity) {
+      errors.push({ row, message: `Could not parse deal URL "${deal.url}".` });
+      return;
+    }
+    if (deal.status !== undefined && !isValidStatus(deal.status)) {
+      errors.push({ row, message: `Unknown status "${deal.status}" for "${deal.title}".` });
+      return;
+    }
+    if (deal.priority !== undefined && !isValidPriority(deal.priority)) {
+      errors.push({ row, message: `Unknown priority "${deal.priority}" for "${deal.title}".` });
+      return;
+    }
+    try {
+      const purchase = deal.purchase ? normalizePurchase(deal.purchase, deal.purchase.purchasedAt || null) : undefined;
+      deals.push({
+        ...deal,
+        id: deal.id || identity.id,
+        url: identity.url,
+        urlAliases: [...new Set([...identity.urlAliases, ...(deal.urlAliases || [])])],
+        ...(purchase ? { purchase } : {}),
+        ...(deal.tags !== undefined ? { tags: normalizeTags(deal.tags) } : {}),
+        ...(deal.alertPreferences !== undefined ? { alertPreferences: normalizeAlertPreferences(deal.alertPreferences) } : {}),
+      });
+    } catch (error) {
+      errors.push({ row, message: `${deal.title}: ${error.message}` });
+    }
+  });
+
+  const summary = await storage.importDeals(deals, { apply: Boolean(data.apply), conflictStrategy: data.conflictStrategy || 'keepExisting' });
+  const counts = `${summary.added.length} new, ${summary.updated.length} updated, ${summary.conflicts.length} conflicting, ` +
+    `${summary.unchanged.length} unchanged, ${errors.length} skipped`;
+  console.log(`Import ${data.apply ? 'applied' : 'previewed'} (${parsed.format}): ${counts}.`);
+  return {
+    success: true,
+    message: data.apply ? `Import complete: ${counts}.` : `Import preview: ${counts}.`,
+    data: { format: parsed.format, applied: Boolean(data.apply), ...summary, errors },
+  };
+}
+
+// Start a download of generated text. Resolves to the download ID.
+function downloadTextFile(content, mimeType, filename) {
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({
+      url: `data:${mimeType};charset=utf-8,` + encodeURIComponent(content),
+      filename: filename,
+      saveAs: true
+    }, (id) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (id === undefined) {
+        reject(new Error('Download initiation failed: No download ID. Download might be blocked.'));
+      } else {
+        resolve(id);
+      }
+    });
+  });
+}
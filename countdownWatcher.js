@@ -0,0 +1,123 @@
+// Countdown capture for the SumoSignal content script.
+//
+// AppSumo product pages and cards show ticking "ends in" widgets. Reading the time
+// remaining and adding it to the current time gives an absolute expiry instant that
+// is far more precise than a static "Ends Oct 25" label. Widgets are polled, and if
+// the deadline they count down to moves (the deal was extended or cut short), the
+// background is told so saved deals pick up the new expiry.
+//
+// Loaded as a content script after expiryDateParser.js. The helpers it calls at
+// runtime (queryFieldForDeal, extractDealUrls) are defined in appSumoDealCapture.js.
+
+const COUNTDOWN_POLL_INTERVAL_MS = 30 * 1000;
+// Two readings of an unchanged deadline can differ by up to the countdown's smallest
+// unit (a minute for "4h 13m", an hour for "2d 4h"; see precisionMs in
+// expiryDateParser.js). A move beyond that, and at least this much, is a real change.
+const COUNTDOWN_CHANGE_TOLERANCE_MS = 2 * 60 * 1000;
+
+// Attributes some countdown widgets use to carry their target time directly.
+const COUNTDOWN_DEADLINE_ATTRIBUTES = ['data-end-time', 'data-ends-at', 'data-expires-at', 'data-deadline', 'data-countdown-to', 'datetime'];
+
+// Widget text with a space between every text node, so "02<span>d</span>04<span>h</span>"
+// reads as "02 d 04 h" rather than "02d04h".
+function readCountdownText(widget) {
+  const parts = [];
+  const walker = document.createTreeWalker(widget, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const text = walker.currentNode.nodeValue.trim();
+    if (text) parts.push(text);
+  }
+  return parts.join(' ');
+}
+
+// Parse a deadline attribute: epoch seconds, epoch milliseconds or an ISO string.
+function parseDeadlineAttribute(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d{10}$/.test(trimmed)) return new Date(parseInt(trimmed, 10) * 1000);
+  if (/^\d{13}$/.test(trimmed)) return new Date(parseInt(trimmed, 10));
+  const parsed = ExpiryDateParser.parse(trimmed);
+  return parsed ? new Date(parsed.iso) : null;
+}
+
+// Read a countdown widget. Returns { iso, confidence, precisionMs, text } or null.
+function readCountdown(widget, now = new Date()) {
+  for (const attribute of COUNTDOWN_DEADLINE_ATTRIBUTES) {
+    const deadline = parseDeadlineAttribute(widget.getAttribute(attribute));
+    if (deadline && !isNaN(deadline.getTime())) {
+      return { iso: deadline.toISOString(), confidence: 'high', precisionMs: 0, text: widget.getAttribute(attribute) };
+    }
+  }
+  const text = readCountdownText(widget);
+  const parsed = ExpiryDateParser.parse(text, { now });
+  if (!parsed || parsed.kind !== 'countdown') return null;
+  return { iso: parsed.iso, confidence: parsed.confidence, precisionMs: parsed.precisionMs, text };
+}
+
+// --- Live watching ---
+
+// dealElement -> { widget, lastIso, lastPrecisionMs, dealUrls }
+const countdownWatches = new Map();
+let countdownTimer = null;
+
+function reportCountdownExpiry(dealUrls, reading) {
+  chrome.runtime.sendMessage({
+    action: 'updateDealExpiry',
+    data: {
+      ...dealUrls,
+      expiryDate: reading.iso,
+      expiryConfidence: reading.confidence,
+      expiryPrecisionMs: reading.precisionMs,
+      expiryText: reading.text,
+      source: 'countdown',
+    },
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.warn('SumoSignal: Could not send countdown update:', chrome.runtime.lastError.message);
+    } else if (response && response.updated) {
+      console.log('SumoSignal: Saved deal expiry updated from countdown:', response.message);
+    }
+  });
+}
+
+function pollCountdowns() {
+  const now = new Date();
+  for (const [dealElement, watch] of countdownWatches) {
+    if (!dealElement.isConnected || !watch.widget.isConnected) {
+      countdownWatches.delete(dealElement);
+      continue;
+    }
+    const reading = readCountdown(watch.widget, now);
+    if (!reading) continue;
+    const drift = Math.abs(new Date(reading.iso).getTime() - new Date(watch.lastIso).getTime());
+    if (drift > Math.max(COUNTDOWN_CHANGE_TOLERANCE_MS, reading.precisionMs, watch.lastPrecisionMs)) {
+      console.log(`SumoSignal: Countdown deadline moved from ${watch.lastIso} to ${reading.iso}.`);
+      watch.lastIso = reading.iso;
+      watch.lastPrecisionMs = reading.precisionMs;
+      reportCountdownExpiry(watch.dealUrls, reading);
+    }
+  }
+  if (countdownWatches.size === 0 && countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+// Start watching the countdown that belongs to dealElement, if it has one.
+// The first reading is reported straight away: the background ignores deals that
+// aren't saved and readings that match what it already has, and updates the rest.
+function watchDealCountdown(dealElement) {
+  if (countdownWatches.has(dealElement)) return;
+  const widget = queryFieldForDeal(dealElement, 'countdown');
+  if (!widget) return;
+  const reading = readCountdown(widget);
+  if (!reading) return;
+
+  const dealUrls = extractDealUrls(dealElement);
+  countdownWatches.set(dealElement, { widget, lastIso: reading.iso, lastPrecisionMs: reading.precisionMs, dealUrls });
+  reportCountdownExpiry(dealUrls, reading);
+
+  if (!countdownTimer) {
+    countdownTimer = setInterval(pollCountdowns, COUNTDOWN_POLL_INTERVAL_MS);
+  }
+}
@@ -0,0 +1,227 @@
+// Deal export and import formats.
+//
+// CSV is for spreadsheets: RFC 4180 quoting, CRLF line endings, a choice of columns
+// and statuses, and text that a spreadsheet would run as a formula is defused. The
+// JSON backup holds the complete deal records and restores them without loss.
+// Both formats can be read back with parseImport.
+
+export const BACKUP_FORMAT = 'sumosignal-backup';
+const BACKUP_VERSION = 1;
+
+// Leading characters that make Excel, Sheets and LibreOffice treat a cell as a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Tiers in one cell: "Tier 1: 59; Tier 2: 118 (sold out)".
+function formatTiers(tiers) {
+  if (!Array.isArray(tiers)) return '';
+  return tiers.map((tier) => `${tier.code}: ${tier.price ?? ''}${tier.soldOut ? ' (sold out)' : ''}`.trim()).join('; ');
+}
+
+function parseTiers(text) {
+  return text.split(';').map((part) => part.trim()).filter(Boolean).map((part) => {
+    const match = part.match(/^(.*?):\s*([\d.]*)\s*(\(sold out\))?$/i);
+    if (!match) return { code: part, price: null, soldOut: false };
+    return { code: match[1].trim(), price: match[2] ? parseFloat(match[2]) : null, soldOut: Boolean(match[3]) };
+  });
+}
+
+function parseNumber(text) {
+  const number = parseFloat(text);
+  return isNaN(number) ? null : number;
+}
+
+// Columns in their default order. `get` reads the cell from a deal; `set` writes a
+// parsed cell back onto a deal being imported.
+export const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', get: (d) => d.id, set: (d, v) => { d.id = v; } },
+  { key: 'title', header: 'Title', get: (d) => d.title, set: (d, v) => { d.title = v; } },
+  { key: 'url', header: 'URL', get: (d) => d.url, set: (d, v) => { d.url = v; } },
+  { key: 'status', header: 'Status', get: (d) => d.status, set: (d, v) => { d.status = v; } },
+  { key: 'dateSaved', header: 'Date Saved', get: (d) => d.dateSaved, set: (d, v) => { d.dateSaved = v; } },
+  { key: 'expiryDate', header: 'Expiry Date', get: (d) => d.expiryDate, set: (d, v) => { d.expiryDate = v; } },
+  { key: 'expiryConfidence', header: 'Expiry Confidence', get: (d) => d.expiryConfidence, set: (d, v) => { d.expiryConfidence = v; } },
+  { key: 'price', header: 'Price', get: (d) => d.price, set: (d, v) => { d.price = parseNumber(v); } },
+  { key: 'originalPrice', header: 'Original Price', get: (d) => d.originalPrice, set: (d, v) => { d.originalPrice = parseNumber(v); } },
+  { key: 'currency', header: 'Currency', get: (d) => d.currency, set: (d, v) => { d.currency = v; } },
+  { key: 'discountPercent', header: 'Discount %', get: (d) => d.discountPercent, set: (d, v) => { d.discountPercent = parseNumber(v); } },
+  { key: 'targetPrice', header: 'Target Price', get: (d) => d.targetPrice, set: (d, v) => { d.targetPrice = parseNumber(v); } },
+  { key: 'tiers', header: 'Tiers', get: (d) => formatTiers(d.tiers), set: (d, v) => { d.tiers = parseTiers(v); } },
+  { key: 'rating', header: 'Rating', get: (d) => d.rating, set: (d, v) => { d.rating = parseNumber(v); } },
+  { key: 'reviewCount', header: 'Reviews', get: (d) => d.reviewCount, set: (d, v) => { d.reviewCount = parseNumber(v); } },
+  { key: 'category', header: 'Category', get: (d) => d.category, set: (d, v) => { d.category = v; } },
+  { key: 'notes', header: 'Notes', get: (d) => d.notes, set: (d, v) => { d.notes = v; } },
+  { key: 'tags', header: 'Tags', get: (d) => (Array.isArray(d.tags) ? d.tags.join('; ') : ''), set: (d, v) => { d.tags = v.split(';').map((tag) => tag.trim()).filter(Boolean); } },
+  { key: 'priority', header: 'Priority', get: (d) => d.priority, set: (d, v) => { d.priority = v; } },
+  { key: 'purchasedAt', header: 'Purchased At', get: (d) => d.purchase && d.purchase.purchasedAt, set: (d, v) => { (d.purchase ||= {}).purchasedAt = v; } },
+  { key: 'pricePaid', header: 'Price Paid', get: (d) => d.purchase && d.purchase.pricePaid, set: (d, v) => { (d.purchase ||= {}).pricePaid = parseNumber(v); } },
+  { key: 'purchaseTier', header: 'Purchased Tier', get: (d) => d.purchase && d.purchase.tier, set: (d, v) => { (d.purchase ||= {}).tier = v; } },
+  { key: 'licenseNotes', header: 'License Notes', get: (d) => d.purchase && d.purchase.licenseNotes, set: (d, v) => { (d.purchase ||= {}).licenseNotes = v; } },
+  { key: 'dateUpdated', header: 'Last Updated', get: (d) => d.dateUpdated, set: () => {} },
+];
+
+const COLUMNS_BY_KEY = new Map(EXPORT_COLUMNS.map((column) => [column.key, column]));
+const COLUMNS_BY_HEADER = new Map(EXPORT_COLUMNS.flatMap((column) => [
+  [column.header.toLowerCase(), column],
+  [column.key.toLowerCase(), column],
+]));
+
+// One CSV field. Numbers and booleans are written as-is; text that starts like a
+// formula gets a leading apostrophe, which spreadsheets display but don't evaluate.
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the formula guard on import.
+function fromCsvField(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// Parse RFC 4180 CSV into an array of rows (arrays of strings). Accepts LF as well
+// as CRLF line endings and a leading byte-order mark.
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Invalid CSV: a quoted field is not closed.');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ''));
+}
+
+export class CsvExporterService {
+  // Build a CSV document.
+  // `columns` is a list of column keys (see EXPORT_COLUMNS), defaulting to all of them;
+  // `statuses` limits the export to deals with those statuses.
+  generateCsv(deals, { columns = null, statuses = null } = {}) {
+    const selected = (columns && columns.length > 0 ? columns : EXPORT_COLUMNS.map((c) => c.key)).map((key) => {
+      const column = COLUMNS_BY_KEY.get(key);
+      if (!column) throw new Error(`Unknown export column "${key}".`);
+      return column;
+    });
+    const rows = this.filterByStatus(deals, statuses)
+      .map((deal) => selected.map((column) => toCsvField(column.get(deal))).join(','));
+    // RFC 4180 line endings; the BOM makes Excel read the file as UTF-8.
+    return '\uFEFF' + [selected.map((column) => toCsvField(column.header)).join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  // Complete deal records as JSON, for backups that restore without loss.
+  generateJsonBackup(deals, { statuses = null, schemaVersion = null } = {}) {
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion,
+      exportedAt: new Date().toISOString(),
+      deals: this.filterByStatus(deals, statuses),
+    }, null, 2);
+  }
+
+  filterByStatus(deals, statuses) {
+    if (!Array.isArray(statuses) || statuses.length === 0) return deals;
+    return deals.filter((deal) => statuses.includes(deal.status));
+  }
+
+  // Read deals back from a CSV export or a JSON backup. `format` is 'csv', 'json' or
+  // null to detect it from the text.
+  // Returns { format, deals, rows, errors: [{ row, message }] }: rows[i] is the source
+  // row (1-based) of deals[i]. Rows that can't be read are reported in errors and
+  // left out of deals.
+  parseImport(text, format = null) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Nothing to import: the file is empty.');
+    }
+    const detected = format || (/^\s*[[{]/.test(text.replace(/^\uFEFF/, '')) ? 'json' : 'csv');
+    if (detected === 'json') return this._parseJsonImport(text);
+    if (detected === 'csv') return this._parseCsvImport(text);
+    throw new Error(`Unsupported import format "${format}".`);
+  }
+
+  _parseJsonImport(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    // A backup, or a bare array of deals.
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.format === BACKUP_FORMAT ? parsed.deals : null;
+    if (!Array.isArray(records)) {
+      throw new Error('Invalid JSON: expected a SumoSignal backup or an array of deals.');
+    }
+    const deals = [];
+    const rowNumbers = [];
+    const errors = [];
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object' || !record.url || !record.title) {
+        errors.push({ row: index + 1, message: 'Deal is missing its title or URL.' });
+      } else {
+        deals.push(record);
+        rowNumbers.push(index + 1);
+      }
+    });
+    return { format: 'json', deals, rows: rowNumbers, errors };
+  }
+
+  _parseCsvImport(text) {
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) throw new Error('Invalid CSV: no header row.');
+    const columns = headerRow.map((header) => COLUMNS_BY_HEADER.get(fromCsvField(header).trim().toLowerCase()) || null);
+    if (!columns.some((column) => column && column.key === 'url')) {
+      throw new Error('Invalid CSV: a URL column is required.');
+    }
+
+    const deals = [];
+    const rowNumbers = [];
+    const errors = [];
+    rows.forEach((cells, index) => {
+      const deal = {};
+      columns.forEach((column, i) => {
+        const value = fromCsvField(cells[i] ?? '');
+        if (column && value !== '') column.set(deal, value);
+      });
+      if (!deal.url || !deal.title) {
+        errors.push({ row: index + 2, message: 'Row is missing its title or URL.' }); // Row 1 is the header
+      } else {
+        deals.push(deal);
+        rowNumbers.push(index + 2);
+      }
+    });
+    return { format: 'csv', deals, rows: rowNumbers, errors };
+  }
+}
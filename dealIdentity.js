@@ -0,0 +1,119 @@
+// Deal identity: canonical URLs and stable IDs for AppSumo deals.
+//
+// The same product shows up under many URLs: listing cards link to
+// /products/<slug>/ with tracking parameters, product pages add fragments like
+// #reviews, and renamed products redirect from an old slug to a new one. Everything
+// that stores or looks up a deal goes through this module so those variants all
+// resolve to one record.
+
+// Query parameters that only carry attribution/tracking data and never change
+// which deal a URL points at.
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|twclid|ttclid)$/i,
+  /^(mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok)$/i,
+  /^(ref|ref_src|referrer|source|via|aff|affiliate|aff_id|irclickid|irgwc|clickid|sscid|click_id)$/i,
+];
+
+const APPSUMO_HOST_PATTERN = /(^|\.)appsumo\.com$/i;
+
+// AppSumo product pages: /products/<slug>/ (optionally followed by sub-pages
+// such as /products/<slug>/reviews/).
+const PRODUCT_PATH_PATTERN = /^\/products\/([a-z0-9][a-z0-9-]*)(?:\/|$)/i;
+
+function isTrackingParam(name) {
+  return TRACKING_PARAM_PATTERNS.some((pattern) => pattern.test(name));
+}
+
+function parseUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    return new URL(url.trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns the AppSumo product slug for a URL, or null if it is not a product URL.
+export function extractProductSlug(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !APPSUMO_HOST_PATTERN.test(parsed.hostname)) return null;
+  const match = parsed.pathname.match(PRODUCT_PATH_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Canonical form of a deal URL.
+// AppSumo product URLs collapse to https://appsumo.com/products/<slug>/; any other
+// URL keeps its path but loses the fragment, tracking params and a trailing slash.
+// Returns null for values that are not absolute URLs.
+export function canonicalizeDealUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const slug = extractProductSlug(url);
+  if (slug) {
+    return `https://appsumo.com/products/${slug}/`;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if (parsed.protocol === 'http:' && APPSUMO_HOST_PATTERN.test(parsed.hostname)) {
+    parsed.protocol = 'https:';
+  }
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (isTrackingParam(name)) parsed.searchParams.delete(name);
+  }
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  return parsed.toString();
+}
+
+// Small non-cryptographic hash (FNV-1a, 32-bit) so non-product URLs still get a
+// short, stable ID.
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Stable deal ID for a URL: "appsumo:<slug>" for product pages, otherwise
+// "url:<hash of canonical URL>". Returns null if the URL cannot be parsed.
+export function deriveDealId(url) {
+  const slug = extractProductSlug(url);
+  if (slug) return `appsumo:${slug}`;
+  const canonical = canonicalizeDealUrl(url);
+  return canonical ? `url:${hashString(canonical)}` : null;
+}
+
+// Resolve the identity of captured deal data.
+// `canonicalUrl` (from the page's <link rel="canonical">) wins over `url` because it
+// reflects where a redirect ended up; every distinct canonical form seen is kept in
+// `urlAliases` so later saves from the old URL still match.
+// Returns { id, url, urlAliases } or null if no usable URL is present.
+export function resolveDealIdentity({ url, canonicalUrl } = {}) {
+  const candidates = [canonicalUrl, url]
+    .map(canonicalizeDealUrl)
+    .filter(Boolean);
+  if (candidates.length === 0) return null;
+
+  const primaryUrl = candidates[0];
+  return {
+    id: deriveDealId(primaryUrl),
+    url: primaryUrl,
+    urlAliases: [...new Set(candidates)],
+  };
+}
+
+// All canonical URLs a stored deal is known by.
+export function getDealUrls(deal) {
+  if (!deal) return [];
+  const urls = [deal.url, ...(Array.isArray(deal.urlAliases) ? deal.urlAliases : [])]
+    .map(canonicalizeDealUrl)
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
@@ -0,0 +1,100 @@
+// Deal lifecycle: the statuses a saved deal can be in and the moves between them.
+//
+// Every status change goes through transitionDeal, which rejects moves the table
+// below doesn't allow and appends to the deal's statusHistory, so the watchlist can
+// show how a deal got where it is.
+
+export const DEAL_STATUSES = {
+  watching: 'watching', // Live deal the user wants reminders for
+  missed: 'missed', // Expired or sold out before the user bought it; watched for restocks
+  purchased: 'purchased', // Bought; see deal.purchase for the details
+  ignored: 'ignored', // User stopped watching it; no alerts of any kind
+  archived: 'archived', // Hidden from the watchlist but kept for the record
+};
+
+// Allowed moves, keyed by the current status.
+const STATUS_TRANSITIONS = {
+  watching: ['missed', 'purchased', 'ignored', 'archived'],
+  missed: ['watching', 'purchased', 'ignored', 'archived'],
+  // Back to watching covers refunds within AppSumo's refund window.
+  purchased: ['watching', 'archived'],
+  ignored: ['watching', 'purchased', 'archived'],
+  // Unarchiving puts the deal back wherever it belongs.
+  archived: ['watching', 'missed', 'purchased', 'ignored'],
+};
+
+// Statuses whose deals still get expiry, restock and pricing alerts.
+export const ALERTING_STATUSES = [DEAL_STATUSES.watching, DEAL_STATUSES.missed];
+
+// Oldest entries are dropped beyond this.
+const MAX_STATUS_HISTORY = 100;
+
+export function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status);
+}
+
+export function canTransition(from, to) {
+  return isValidStatus(from) && STATUS_TRANSITIONS[from].includes(to);
+}
+
+export function isAlerting(deal) {
+  return ALERTING_STATUSES.includes(deal.status);
+}
+
+// Work out the changes that move `deal` to status `to`.
+// `reason` says what triggered the move (e.g. 'user', 'expiry_check', 'restock_check');
+// `purchase` is stored as deal.purchase when moving to 'purchased'.
+// Returns the patch to store; {} if the deal already has that status.
+// Throws if the move isn't allowed.
+export function transitionDeal(deal, to, { reason = 'user', purchase = null, at = new Date() } = {}) {
+  if (!isValidStatus(to)) {
+    throw new Error(`Unknown deal status "${to}".`);
+  }
+  const from = deal.status || null;
+  if (from === to) return {};
+  if (from && !canTransition(from, to)) {
+    throw new Error(`Cannot change deal status from ${from} to ${to}.`);
+  }
+
+  const changedAt = at.toISOString();
+  const history = Array.isArray(deal.statusHistory) ? deal.statusHistory : [];
+  const changes = {
+    status: to,
+    statusHistory: [...history, { from, to, at: changedAt, reason }].slice(-MAX_STATUS_HISTORY),
+  };
+  if (to === DEAL_STATUSES.purchased) {
+    changes.purchase = normalizePurchase(purchase, changedAt);
+  }
+  return changes;
+}
+
+// Validate purchase details: { purchasedAt, pricePaid, currency, tier, licenseNotes }.
+// Every field is optional; purchasedAt defaults to `defaultDate`.
+export function normalizePurchase(purchase, defaultDate = new Date().toISOString()) {
+  const details = purchase || {};
+  let purchasedAt = defaultDate;
+  if (details.purchasedAt !== undefined && details.purchasedAt !== null) {
+    const parsed = new Date(details.purchasedAt);
+    if (typeof details.purchasedAt !== 'string' || isNaN(parsed.getTime())) {
+      throw new Error('Purchase date must be an ISO 8601 date string.');
+    }
+    purchasedAt = parsed.toISOString();
+  }
+  const pricePaid = details.pricePaid ?? null;
+  if (pricePaid !== null && (typeof pricePaid !== 'number' || isNaN(pricePaid) || pricePaid < 0)) {
+    throw new Error('Price paid must be a non-negative number.');
+  }
+  for (const field of ['currency', 'tier', 'licenseNotes']) {
+    if (details[field] !== undefined && details[field] !== null && typeof details[field] !== 'string') {
+      throw new Error(`Purchase ${field} must be a string.`);
+    }
+  }
+  return {
+    purchasedAt,
+    pricePaid,
+    currency: details.currency || null,
+    tier: details.tier || null,
+    // License codes and anything else the user wants to keep with the purchase
+    licenseNotes: details.licenseNotes || '',
+  };
+}
@@ -0,0 +1,127 @@
+// Deal page classifier: decides whether a fetched AppSumo deal page is live.
+//
+// AppSumo answers 200 for ended and sold-out deals, so the HTTP status alone says
+// very little. The classifier combines the response (status, redirects) with what
+// the page itself says (JSON-LD offer availability and visible text) and reports
+// the evidence behind its decision.
+
+import { extractProductSlug } from './dealIdentity.js';
+import { findJsonLdProduct, htmlToText } from './dealPageParser.js';
+
+export const PAGE_STATES = {
+  active: 'active',
+  soldOut: 'sold_out',
+  ended: 'ended',
+  redirectedToOtherProduct: 'redirected_to_other_product',
+  notFound: 'not_found',
+  unknown: 'unknown', // Fetch failed or the page gave no usable signal
+};
+
+// Visible-text signals. Sold-out phrases are deal-level on purpose: "Tier 1 Sold out"
+// on a live page must not count as the whole deal being sold out.
+const TEXT_SIGNALS = [
+  { state: PAGE_STATES.ended, weight: 2, pattern: /\b(this )?deal (has )?(ended|expired|is over)\b/i, label: 'page says the deal has ended' },
+  { state: PAGE_STATES.ended, weight: 2, pattern: /\bno longer available\b/i, label: 'page says the deal is no longer available' },
+  { state: PAGE_STATES.ended, weight: 1, pattern: /\b(campaign|promotion|offer) (has )?ended\b/i, label: 'page mentions an ended campaign' },
+  { state: PAGE_STATES.soldOut, weight: 2, pattern: /\b(this )?deal (is )?sold out\b/i, label: 'page says the deal is sold out' },
+  { state: PAGE_STATES.soldOut, weight: 2, pattern: /\ball (codes|licenses) (have been )?(claimed|redeemed|sold)\b/i, label: 'page says all codes are claimed' },
+  { state: PAGE_STATES.soldOut, weight: 1, pattern: /\bjoin the waitlist\b/i, label: 'page offers a waitlist' },
+  { state: PAGE_STATES.active, weight: 1, pattern: /\b(buy now|add to cart|get (lifetime )?access|claim (this )?deal)\b/i, label: 'page shows a purchase button' },
+  { state: PAGE_STATES.notFound, weight: 2, pattern: /\b(page not found|404 error|we couldn'?t find (that|this) page)\b/i, label: 'page says it was not found' },
+];
+
+// Look at JSON-LD Product offers. Returns { state, weight, label } or null.
+function structuredDataSignal(html) {
+  const product = findJsonLdProduct(html);
+  if (!product || !product.offers) return null;
+
+  const offers = (Array.isArray(product.offers) ? product.offers : [product.offers])
+    .flatMap((offer) => (offer && Array.isArray(offer.offers) ? offer.offers : [offer]))
+    .filter(Boolean);
+  const availabilities = offers.map((offer) => String(offer.availability || ''));
+  if (availabilities.length === 0 || availabilities.every((a) => a === '')) return null;
+
+  if (availabilities.some((a) => /InStock|LimitedAvailability|PreOrder|OnlineOnly/i.test(a))) {
+    return { state: PAGE_STATES.active, weight: 3, label: 'structured data lists an in-stock offer' };
+  }
+  if (availabilities.every((a) => /Discontinued/i.test(a))) {
+    return { state: PAGE_STATES.ended, weight: 3, label: 'structured data marks every offer discontinued' };
+  }
+  if (availabilities.every((a) => /SoldOut|OutOfStock|Discontinued/i.test(a))) {
+    return { state: PAGE_STATES.soldOut, weight: 3, label: 'structured data marks every offer sold out' };
+  }
+  return null;
+}
+
+function result(state, confidence, evidence) {
+  return {
+    state,
+    confidence,
+    // The only result callers should act on automatically.
+    confident: confidence === 'high',
+    evidence,
+  };
+}
+
+// Classify a fetched deal page.
+// `page` is { requestedUrl, finalUrl, status, html, error } as returned by the
+// background's fetchDealPage. Returns { state, confidence ('high' | 'medium' |
+// 'low'), confident, evidence: [string] }.
+export function classifyDealPage({ requestedUrl, finalUrl, status, html, error } = {}) {
+  const evidence = [];
+
+  if (!status) {
+    return result(PAGE_STATES.unknown, 'low', [`fetch failed${error ? `: ${error}` : ''}`]);
+  }
+  if (status === 404 || status === 410) {
+    return result(PAGE_STATES.notFound, 'high', [`HTTP ${status}`]);
+  }
+  if (status < 200 || status >= 300) {
+    return result(PAGE_STATES.unknown, 'low', [`HTTP ${status}`]);
+  }
+  evidence.push(`HTTP ${status}`);
+
+  // Redirects: to another product, or off product pages entirely (AppSumo sends some
+  // ended deals to a browse page).
+  const requestedSlug = extractProductSlug(requestedUrl);
+  const finalSlug = extractProductSlug(finalUrl);
+  if (requestedSlug && finalUrl && finalUrl !== requestedUrl) {
+    if (finalSlug && finalSlug !== requestedSlug) {
+      return result(PAGE_STATES.redirectedToOtherProduct, 'high', [...evidence, `redirected from /products/${requestedSlug}/ to /products/${finalSlug}/`]);
+    }
+    if (!finalSlug) {
+      evidence.push(`redirected to non-product page ${finalUrl}`);
+      return result(PAGE_STATES.ended, 'medium', evidence);
+    }
+  }
+
+  const scores = {};
+  const addSignal = ({ state, weight, label }) => {
+    scores[state] = (scores[state] || 0) + weight;
+    evidence.push(label);
+  };
+
+  const structured = structuredDataSignal(html);
+  if (structured) addSignal(structured);
+
+  const text = htmlToText(html);
+  for (const signal of TEXT_SIGNALS) {
+    if (signal.pattern.test(text)) addSignal(signal);
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) {
+    evidence.push('no availability signals found on page');
+    return result(PAGE_STATES.unknown, 'low', evidence);
+  }
+
+  const [winner, winnerScore] = ranked[0];
+  const competingScore = ranked.slice(1).reduce((sum, [, score]) => sum + score, 0);
+  let confidence = 'low';
+  if (winnerScore >= 3 && competingScore === 0) {
+    confidence = 'high';
+  } else if (winnerScore >= 2 && competingScore < winnerScore) {
+    confidence = 'medium';
+  }
+  return result(winner, confidence, evidence);
+}
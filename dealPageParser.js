@@ -0,0 +1,224 @@
+// Deal page parsing for the service worker.
+//
+// Service workers have no DOMParser, so everything here works on the raw HTML
+// string: structured data (JSON-LD, OpenGraph/product meta tags) first, then a
+// plain-text scan as a fallback.
+
+import './expiryDateParser.js'; // Publishes the ExpiryDateParser global
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—' };
+
+export function decodeHtmlEntities(text) {
+  return String(text).replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Visible text of an HTML document: scripts, styles and tags removed, whitespace collapsed.
+export function htmlToText(html) {
+  if (!html) return '';
+  const withoutCode = String(html)
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ');
+  return decodeHtmlEntities(withoutCode.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// All JSON-LD objects on the page, with @graph containers flattened.
+export function extractJsonLd(html) {
+  const results = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    try {
+      const parsed = JSON.parse(match[1].trim());
+      const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+        results.push(item);
+      }
+    } catch (error) {
+      // Malformed JSON-LD blocks are common; skip them.
+    }
+  }
+  return results;
+}
+
+function hasType(item, type) {
+  const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+  return types.some((t) => typeof t === 'string' && t.toLowerCase() === type.toLowerCase());
+}
+
+export function findJsonLdProduct(html) {
+  return extractJsonLd(html).find((item) => hasType(item, 'Product')) || null;
+}
+
+// Content of <meta property|name="..."> tags, keyed by lower-cased property name.
+export function extractMetaTags(html) {
+  const tags = {};
+  const pattern = /<meta\b[^>]*>/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const tag = match[0];
+    const key = tag.match(/\b(?:property|name|itemprop)\s*=\s*["']([^"']+)["']/i);
+    const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (key && content) {
+      const name = key[1].toLowerCase();
+      if (!(name in tags)) tags[name] = decodeHtmlEntities(content[1] ?? content[2]);
+    }
+  }
+  return tags;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+// schema.org availability URLs/strings that mean the offer can't be bought.
+function isUnavailable(availability) {
+  return /(SoldOut|OutOfStock|Discontinued)/i.test(String(availability || ''));
+}
+
+// Tiers from JSON-LD offers. AppSumo-style plans are named "Tier 1", "Tier 2", ...
+function tiersFromOffers(offers) {
+  const tiers = [];
+  for (const offer of offers) {
+    const match = String(offer.name || offer.sku || '').match(/tier\s*(\d+)/i);
+    if (!match) continue;
+    tiers.push({
+      code: `Tier ${parseInt(match[1], 10)}`,
+      price: toNumber(offer.price ?? offer.lowPrice),
+      soldOut: isUnavailable(offer.availability),
+    });
+  }
+  return tiers;
+}
+
+// Tiers mentioned in the visible text, e.g. "Tier 2 $138 ... Sold out".
+function tiersFromText(text) {
+  const tiers = new Map();
+  const pattern = /\bTier\s*(\d+)\b([\s\S]{0,120}?)(?=\bTier\s*\d+\b|$)/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const code = `Tier ${parseInt(match[1], 10)}`;
+    if (tiers.has(code)) continue;
+    const priceMatch = match[2].match(/\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
+    tiers.set(code, {
+      code,
+      price: priceMatch ? toNumber(priceMatch[1]) : null,
+      soldOut: /sold out|unavailable/i.test(match[2]),
+    });
+  }
+  return [...tiers.values()];
+}
+
+// A JSON-LD Product's offers as a flat list, with AggregateOffer containers expanded.
+function productOffers(product) {
+  const offers = [];
+  if (product && product.offers) {
+    const rawOffers = Array.isArray(product.offers) ? product.offers : [product.offers];
+    for (const offer of rawOffers) {
+      if (offer && Array.isArray(offer.offers)) offers.push(...offer.offers); // AggregateOffer
+      else if (offer) offers.push(offer);
+    }
+  }
+  return offers;
+}
+
+// Extract the current pricing from a deal page's HTML.
+// Returns an object with the same fields the content script captures (see
+// dealPricing.js); fields that can't be found are null, tiers is an array.
+export function extractPricingFromHtml(html) {
+  const product = findJsonLdProduct(html);
+  const meta = extractMetaTags(html);
+
+  const offers = productOffers(product);
+  const tiers = offers.length > 0 ? tiersFromOffers(offers) : [];
+  const fallbackTiers = tiers.length > 0 ? tiers : tiersFromText(htmlToText(html));
+
+  // Current price: cheapest offer that can still be bought, else the meta tags.
+  const buyablePrices = offers
+    .filter((offer) => !isUnavailable(offer.availability))
+    .map((offer) => toNumber(offer.price ?? offer.lowPrice))
+    .filter((price) => price !== null);
+  const price = buyablePrices.length > 0
+    ? Math.min(...buyablePrices)
+    : toNumber(meta['product:price:amount'] || meta['og:price:amount'] || meta['price']);
+
+  const firstOffer = offers[0] || {};
+  const currency = firstOffer.priceCurrency || meta['product:price:currency'] || meta['og:price:currency'] || null;
+  const rating = product && product.aggregateRating ? product.aggregateRating : {};
+
+  return {
+    title: (product && product.name) || meta['og:title'] || null,
+    price,
+    originalPrice: toNumber(meta['product:original_price:amount']),
+    currency,
+    tiers: fallbackTiers,
+    reviewCount: toNumber(rating.reviewCount ?? rating.ratingCount),
+    rating: toNumber(rating.ratingValue),
+    category: (product && (typeof product.category === 'string' ? product.category : null)) || null,
+  };
+}
+
+// --- Expiry ---
+
+// Attributes countdown widgets use to carry their target time (see countdownWatcher.js).
+const DEADLINE_ATTRIBUTE_PATTERN = /\bdata-(?:end-time|ends-at|expires-at|deadline|countdown-to)\s*=\s*["']([^"']+)["']/i;
+// Phrases that introduce the deadline in visible text, followed by the date itself.
+const EXPIRY_PHRASE_PATTERN = /\b(?:deal ends|offer ends|ends|expires|ending|available until|endet|termina|se termine)\b[:\s]*(?:on\s+|in\s+|am\s+|el\s+|le\s+)?([^.!|]{3,60})/gi;
+// "Last call" banners AppSumo shows in a deal's final days.
+const LAST_CALL_PATTERN = /\b(last call|last chance|final hours)\b/i;
+
+const EXPIRY_CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+function parseDeadlineAttribute(value, now) {
+  const trimmed = value.trim();
+  if (/^\d{10}$/.test(trimmed)) return { iso: new Date(parseInt(trimmed, 10) * 1000).toISOString(), confidence: 'high', precisionMs: 0 };
+  if (/^\d{13}$/.test(trimmed)) return { iso: new Date(parseInt(trimmed, 10)).toISOString(), confidence: 'high', precisionMs: 0 };
+  const parsed = ExpiryDateParser.parse(trimmed, { now });
+  return parsed ? { iso: parsed.iso, confidence: 'high', precisionMs: parsed.precisionMs } : null;
+}
+
+// Extract the deal's expiry from a deal page's HTML.
+// Tries, in order: a countdown widget's deadline attribute, JSON-LD priceValidUntil,
+// then "Ends ..." phrases in the visible text (the most confident reading wins).
+// Returns { expiryDate, confidence, precisionMs, text, lastCall }; expiryDate is null
+// when the page states no deadline. precisionMs is as in expiryDateParser.js.
+export function extractExpiryFromHtml(html, now = new Date()) {
+  const text = htmlToText(html);
+  const lastCall = LAST_CALL_PATTERN.test(text);
+  const none = { expiryDate: null, confidence: null, precisionMs: null, text: null, lastCall };
+  if (!html) return none;
+
+  const attribute = String(html).match(DEADLINE_ATTRIBUTE_PATTERN);
+  const fromAttribute = attribute ? parseDeadlineAttribute(decodeHtmlEntities(attribute[1]), now) : null;
+  if (fromAttribute) {
+    return { expiryDate: fromAttribute.iso, confidence: fromAttribute.confidence, precisionMs: fromAttribute.precisionMs, text: attribute[1], lastCall };
+  }
+
+  const validUntil = productOffers(findJsonLdProduct(html)).map((offer) => offer.priceValidUntil).find(Boolean);
+  const fromJsonLd = validUntil ? ExpiryDateParser.parse(String(validUntil), { now }) : null;
+  if (fromJsonLd) {
+    return { expiryDate: fromJsonLd.iso, confidence: fromJsonLd.confidence, precisionMs: fromJsonLd.precisionMs, text: String(validUntil), lastCall };
+  }
+
+  let best = null;
+  let match;
+  EXPIRY_PHRASE_PATTERN.lastIndex = 0;
+  while ((match = EXPIRY_PHRASE_PATTERN.exec(text)) !== null) {
+    const parsed = ExpiryDateParser.parse(match[1], { now });
+    if (parsed && (!best || EXPIRY_CONFIDENCE_RANK[parsed.confidence] > EXPIRY_CONFIDENCE_RANK[best.parsed.confidence])) {
+      best = { parsed, text: match[0].trim() };
+    }
+  }
+  if (!best) return none;
+  return { expiryDate: best.parsed.iso, confidence: best.parsed.confidence, precisionMs: best.parsed.precisionMs, text: best.text, lastCall };
+}
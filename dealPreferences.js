@@ -0,0 +1,116 @@
+// Per-deal annotations and alert preferences: tags, a priority, and overrides of the
+// global alert settings.
+//
+// resolveDealConfig works out the settings the checks should use for one deal. An
+// explicit override on the deal wins, then the deal's priority preset, then the
+// global configuration, so a must-have deal can be warned about a week ahead while
+// low-priority deals stay quiet until their final day.
+
+export const DEAL_PRIORITIES = {
+  high: 'high',
+  normal: 'normal',
+  low: 'low',
+};
+
+// Where alerts can be delivered. 'desktop' is chrome.notifications; 'webhook' posts
+// to the configured webhook, if there is one (see webhookService.js).
+export const NOTIFICATION_CHANNELS = ['desktop', 'webhook'];
+// Channels alerts go to until the user picks others. The webhook is opt-in, once a
+// URL is configured.
+export const DEFAULT_NOTIFICATION_CHANNELS = ['desktop'];
+
+// Settings each priority implies, given the global configuration, unless the deal
+// overrides them itself. 'normal' follows the global configuration. High priority
+// deals warn at least a week ahead and always earlier than normal ones; low priority
+// deals wait until the final day and always start later than normal ones (down to
+// MIN_LEAD_TIME_HOURS, see resolveDealConfig).
+const PRIORITY_PRESETS = {
+  high: (config) => ({ expiryWarningLeadTimeHours: Math.min(MAX_LEAD_TIME_HOURS, Math.max(168, config.expiryWarningLeadTimeHours * 2)) }),
+  normal: () => ({}),
+  low: (config) => ({ expiryWarningLeadTimeHours: Math.min(24, config.expiryWarningLeadTimeHours / 2) }),
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MIN_LEAD_TIME_HOURS = 1;
+const MAX_LEAD_TIME_HOURS = 60 * 24; // 60 days
+
+// Clean a list of tags: trimmed, lower-case, without duplicates. Throws on input
+// that isn't a list of strings.
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  const list = typeof tags === 'string' ? tags.split(/[;,]/) : tags;
+  if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+    throw new Error('Tags must be a list of strings.');
+  }
+  const cleaned = [...new Set(list.map((tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+  if (cleaned.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new Error(`Tags are limited to ${MAX_TAG_LENGTH} characters.`);
+  }
+  if (cleaned.length > MAX_TAGS) {
+    throw new Error(`A deal can have at most ${MAX_TAGS} tags.`);
+  }
+  return cleaned;
+}
+
+export function isValidPriority(priority) {
+  return Object.prototype.hasOwnProperty.call(DEAL_PRIORITIES, priority);
+}
+
+// Validate alert preference overrides and merge them over `existing`. A field set to
+// null removes that override. Fields:
+//   expiryWarningLeadTimeHours: hours before expiry that reminders start
+//   similarityThreshold: minimum listing match score (0-1) for similar-listing alerts
+//   channels: where this deal's alerts go (see NOTIFICATION_CHANNELS); [] silences it
+export function normalizeAlertPreferences(preferences, existing = {}) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new Error('Alert preferences must be an object.');
+  }
+  const merged = { ...(existing || {}) };
+  for (const [key, value] of Object.entries(preferences)) {
+    if (value === null) {
+      delete merged[key];
+      continue;
+    }
+    switch (key) {
+      case 'expiryWarningLeadTimeHours':
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN_LEAD_TIME_HOURS || value > MAX_LEAD_TIME_HOURS) {
+          throw new Error(`Expiry warning lead time must be a number of hours from ${MIN_LEAD_TIME_HOURS} to ${MAX_LEAD_TIME_HOURS}.`);
+        }
+        merged[key] = value;
+        break;
+      case 'similarityThreshold':
+        if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+          throw new Error('Similarity threshold must be a number above 0 and at most 1.');
+        }
+        merged[key] = value;
+        break;
+      case 'channels':
+        if (!Array.isArray(value) || value.some((channel) => !NOTIFICATION_CHANNELS.includes(channel))) {
+          throw new Error(`Channels must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}.`);
+        }
+        merged[key] = [...new Set(value)];
+        break;
+      default:
+        throw new Error(`Unknown alert preference "${key}".`);
+    }
+  }
+  return merged;
+}
+
+// The settings to use for one deal: { priority, expiryWarningLeadTimeHours,
+// similarityThreshold, channels }. The lead time is at least MIN_LEAD_TIME_HOURS, so
+// a low priority deal under a short global lead time is still reminded an hour ahead
+// instead of minutes before it ends.
+export function resolveDealConfig(deal, config) {
+  const priority = isValidPriority(deal && deal.priority) ? deal.priority : DEAL_PRIORITIES.normal;
+  const overrides = (deal && deal.alertPreferences) || {};
+  const preset = PRIORITY_PRESETS[priority](config);
+  const pick = (key, fallback) => overrides[key] ?? preset[key] ?? fallback;
+  return {
+    priority,
+    expiryWarningLeadTimeHours: Math.max(MIN_LEAD_TIME_HOURS, pick('expiryWarningLeadTimeHours', config.expiryWarningLeadTimeHours)),
+    similarityThreshold: pick('similarityThreshold', config.similarityThreshold),
+    channels: pick('channels', Array.isArray(config.notificationChannels) ? config.notificationChannels : DEFAULT_NOTIFICATION_CHANNELS),
+  };
+}
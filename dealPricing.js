@@ -0,0 +1,175 @@
+// Deal pricing: the price, plan/tier and social-proof fields captured for a deal,
+// and the per-deal history of every distinct set of values observed.
+
+// Fields that make up a pricing observation. All of them are optional.
+export const PRICING_FIELDS = [
+  'price',
+  'originalPrice',
+  'currency',
+  'discountPercent',
+  'tiers',
+  'reviewCount',
+  'rating',
+  'category',
+];
+
+// Oldest observations are dropped beyond this, to keep storage.local usage bounded.
+const MAX_PRICING_HISTORY = 200;
+
+// Copy the pricing fields that are actually present in `data`.
+export function pickPricing(data) {
+  const pricing = {};
+  if (!data) return pricing;
+  for (const field of PRICING_FIELDS) {
+    const value = data[field];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    pricing[field] = value;
+  }
+  return pricing;
+}
+
+// Normalised tier list for comparisons: order-independent, keyed by tier code.
+function tierSignature(tiers) {
+  if (!Array.isArray(tiers)) return '';
+  return tiers
+    .map((tier) => `${tier.code}|${tier.price ?? ''}|${tier.soldOut ? 1 : 0}`)
+    .sort()
+    .join(',');
+}
+
+function pricingEquals(a, b) {
+  return PRICING_FIELDS.every((field) => {
+    if (field === 'tiers') return tierSignature(a.tiers) === tierSignature(b.tiers);
+    return (a[field] ?? null) === (b[field] ?? null);
+  });
+}
+
+// The most recent pricing observation for a deal, or null.
+export function getLatestPricing(deal) {
+  const history = deal && Array.isArray(deal.pricingHistory) ? deal.pricingHistory : [];
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+// Build the deal changes for a new pricing observation: the latest values go on the
+// deal itself and, if anything differs from the last observation, a new entry is
+// appended to deal.pricingHistory. Fields missing from `data` carry over from the
+// previous observation so a sparse listing card doesn't look like a price change.
+// Returns an empty object if `data` holds no pricing at all.
+export function recordPricingObservation(deal, data, { source = 'capture', observedAt = new Date().toISOString() } = {}) {
+  const observed = pickPricing(data);
+  if (Object.keys(observed).length === 0) return {};
+
+  const history = Array.isArray(deal.pricingHistory) ? deal.pricingHistory : [];
+  const previous = getLatestPricing(deal);
+  const merged = { ...pickPricing(previous), ...observed };
+
+  if (previous && pricingEquals(previous, merged)) {
+    return { ...merged };
+  }
+  const entry = { observedAt, source, ...merged };
+  return {
+    ...merged,
+    pricingHistory: [...history, entry].slice(-MAX_PRICING_HISTORY),
+  };
+}
+
+// --- Pricing alerts ---
+//
+// Each alert type keeps its own baseline in deal.pricingAlertState[alertType], so the
+// price-drop, new-tier and sold-out checks can run on independent schedules without
+// one check's observation hiding a change from another.
+
+export const PRICING_ALERT_TYPES = ['priceDrop', 'newTier', 'tierSoldOut'];
+
+function tierCodes(tiers, predicate = () => true) {
+  return Array.isArray(tiers) ? tiers.filter(predicate).map((tier) => tier.code) : [];
+}
+
+// Seed the tier baselines from the tiers captured when the deal was saved, so the
+// first page check can already report changes. Existing baselines are kept.
+export function seedPricingAlertState(deal) {
+  const state = { ...deal.pricingAlertState };
+  if (Array.isArray(deal.tiers) && deal.tiers.length > 0) {
+    if (!state.newTier || !Array.isArray(state.newTier.knownTierCodes)) {
+      state.newTier = { knownTierCodes: tierCodes(deal.tiers) };
+    }
+    if (!state.tierSoldOut || !Array.isArray(state.tierSoldOut.soldOutTierCodes)) {
+      state.tierSoldOut = { soldOutTierCodes: tierCodes(deal.tiers, (tier) => tier.soldOut) };
+    }
+  }
+  return state;
+}
+
+// Compare freshly fetched `pricing` with the deal's baseline for `alertType`.
+// Returns { alert, alertState }: alert is null when nothing should be sent, and
+// alertState is the new baseline to store for this alert type.
+export function evaluatePricingAlert(alertType, deal, pricing) {
+  const allStates = deal.pricingAlertState || {};
+  const state = allStates[alertType];
+
+  switch (alertType) {
+    case 'priceDrop': {
+      const targetPrice = deal.targetPrice;
+      const price = pricing.price;
+      if (targetPrice === undefined || targetPrice === null || price === null || price === undefined) {
+        return { alert: null, alertState: state || {} };
+      }
+      if (price > targetPrice) {
+        // Back above target: the next drop below it should alert again.
+        return { alert: null, alertState: { lastNotifiedPrice: null } };
+      }
+      const lastNotifiedPrice = state ? state.lastNotifiedPrice : null;
+      if (lastNotifiedPrice !== null && lastNotifiedPrice !== undefined && price >= lastNotifiedPrice) {
+        return { alert: null, alertState: state };
+      }
+      const previous = getLatestPricing(deal);
+      return {
+        alert: {
+          type: 'priceDrop',
+          price,
+          previousPrice: previous ? previous.price ?? null : null,
+          targetPrice,
+          currency: pricing.currency || deal.currency || null,
+        },
+        alertState: { lastNotifiedPrice: price },
+      };
+    }
+
+    case 'newTier': {
+      const currentCodes = tierCodes(pricing.tiers);
+      if (currentCodes.length === 0) {
+        return { alert: null, alertState: state || {} }; // Page had no tier info; keep the baseline
+      }
+      const hasBaseline = state && Array.isArray(state.knownTierCodes);
+      const knownCodes = hasBaseline ? state.knownTierCodes : [];
+      const newCodes = currentCodes.filter((code) => !knownCodes.includes(code));
+      const alertState = { knownTierCodes: [...new Set([...knownCodes, ...currentCodes])] };
+      // Without a baseline the first fetch only establishes one.
+      if (!hasBaseline || newCodes.length === 0) {
+        return { alert: null, alertState };
+      }
+      return { alert: { type: 'newTier', tiers: newCodes }, alertState };
+    }
+
+    case 'tierSoldOut': {
+      if (!Array.isArray(pricing.tiers) || pricing.tiers.length === 0) {
+        return { alert: null, alertState: state || {} };
+      }
+      const soldOutCodes = tierCodes(pricing.tiers, (tier) => tier.soldOut);
+      const hasBaseline = state && Array.isArray(state.soldOutTierCodes);
+      const previousSoldOut = hasBaseline ? state.soldOutTierCodes : [];
+      const newlySoldOut = soldOutCodes.filter((code) => !previousSoldOut.includes(code));
+      // Tracking the current set (not a union) means a tier that comes back and sells
+      // out again alerts again.
+      const alertState = { soldOutTierCodes: soldOutCodes };
+      if (!hasBaseline || newlySoldOut.length === 0) {
+        return { alert: null, alertState };
+      }
+      return { alert: { type: 'tierSoldOut', tiers: newlySoldOut }, alertState };
+    }
+
+    default:
+      throw new Error(`Unknown pricing alert type: ${alertType}`);
+  }
+}
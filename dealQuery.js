@@ -0,0 +1,194 @@
+// Watchlist queries for the popup and options page: filter, search, sort and page
+// through the stored deals without sending the whole list over messaging.
+//
+// A query is a plain object; every field is optional:
+//   {
+//     statuses: ['watching'],           // or status: 'watching'
+//     tags: ['crm'],                    // deal must have all of these tags
+//     expiringWithinHours: 168,         // expiry between now and now + hours
+//     expiryFrom, expiryTo,             // ISO dates, inclusive
+//     priceMin, priceMax,               // current price, inclusive
+//     savedFrom, savedTo,               // dateSaved, ISO dates, inclusive
+//     search: 'crm lifetime',           // every word must appear in title or notes
+//     sortBy: 'expiry' | 'price' | 'dateSaved' | 'title',
+//     sortOrder: 'asc' | 'desc',
+//     limit: 50,
+//     cursor,                           // nextCursor from the previous page
+//   }
+// Pages use keyset cursors (the sort value and ID of the last deal returned), so
+// deals added or removed between requests don't shift the following pages.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// "Expiring this week" and "recently restocked" in the aggregate counts.
+const COUNT_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+// Sort keys. Deals without a value sort last in either order.
+const SORT_KEYS = {
+  expiry: (deal) => timeOf(deal.expiryDate),
+  price: (deal) => (typeof deal.price === 'number' && !isNaN(deal.price) ? deal.price : null),
+  dateSaved: (deal) => timeOf(deal.dateSaved),
+  title: (deal) => (deal.title ? String(deal.title).toLowerCase() : null),
+};
+const DEFAULT_SORT_ORDER = { expiry: 'asc', price: 'asc', dateSaved: 'desc', title: 'asc' };
+
+function timeOf(iso) {
+  if (!iso) return null;
+  const time = new Date(iso).getTime();
+  return isNaN(time) ? null : time;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).filter((item) => typeof item === 'string' && item);
+}
+
+function readNumber(query, field) {
+  const value = query[field];
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`Invalid query: ${field} must be a number.`);
+  return number;
+}
+
+function readDate(query, field) {
+  const value = query[field];
+  if (value === undefined || value === null || value === '') return null;
+  const time = timeOf(value);
+  if (time === null) throw new Error(`Invalid query: ${field} must be an ISO 8601 date.`);
+  return time;
+}
+
+function encodeCursor(position) {
+  return btoa(encodeURIComponent(JSON.stringify(position)));
+}
+
+function decodeCursor(cursor, sortBy, sortOrder) {
+  let position;
+  try {
+    position = JSON.parse(decodeURIComponent(atob(cursor)));
+  } catch (error) {
+    throw new Error('Invalid query: cursor is not valid.');
+  }
+  if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder || typeof position.id !== 'string') {
+    throw new Error('Invalid query: cursor belongs to a different sort order. Start again without a cursor.');
+  }
+  return position;
+}
+
+// Validate a query and fill in defaults. Throws on values that can't be used.
+export function normalizeDealQuery(query = {}, now = new Date()) {
+  if (!query || typeof query !== 'object') throw new Error('Invalid query: expected an object.');
+  const sortBy = query.sortBy || 'expiry';
+  if (!SORT_KEYS[sortBy]) {
+    throw new Error(`Invalid query: sortBy must be one of ${Object.keys(SORT_KEYS).join(', ')}.`);
+  }
+  const sortOrder = query.sortOrder || DEFAULT_SORT_ORDER[sortBy];
+  if (sortOrder !== 'asc' && sortOrder !== 'desc') throw new Error('Invalid query: sortOrder must be "asc" or "desc".');
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : readNumber(query, 'limit');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid query: limit must be a whole number from 1 to ${MAX_LIMIT}.`);
+  }
+
+  let expiryFrom = readDate(query, 'expiryFrom');
+  let expiryTo = readDate(query, 'expiryTo');
+  const withinHours = readNumber(query, 'expiringWithinHours');
+  if (withinHours !== null) {
+    // Combined with expiryFrom/expiryTo, the narrower bounds win.
+    expiryFrom = Math.max(expiryFrom ?? -Infinity, now.getTime());
+    expiryTo = Math.min(expiryTo ?? Infinity, now.getTime() + withinHours * HOUR_MS);
+  }
+
+  return {
+    statuses: [...toList(query.statuses), ...toList(query.status)],
+    tags: toList(query.tags).map((tag) => tag.toLowerCase()),
+    expiryFrom,
+    expiryTo,
+    priceMin: readNumber(query, 'priceMin'),
+    priceMax: readNumber(query, 'priceMax'),
+    savedFrom: readDate(query, 'savedFrom'),
+    savedTo: readDate(query, 'savedTo'),
+    searchTerms: typeof query.search === 'string' ? query.search.toLowerCase().split(/\s+/).filter(Boolean) : [],
+    sortBy,
+    sortOrder,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sortBy, sortOrder) : null,
+  };
+}
+
+function inRange(value, from, to) {
+  if (from === null && to === null) return true;
+  if (value === null) return false;
+  return (from === null || value >= from) && (to === null || value <= to);
+}
+
+function matchesQuery(deal, query) {
+  if (query.statuses.length > 0 && !query.statuses.includes(deal.status)) return false;
+  if (query.tags.length > 0) {
+    const tags = Array.isArray(deal.tags) ? deal.tags.map((tag) => String(tag).toLowerCase()) : [];
+    if (!query.tags.every((tag) => tags.includes(tag))) return false;
+  }
+  if (!inRange(timeOf(deal.expiryDate), query.expiryFrom, query.expiryTo)) return false;
+  if (!inRange(SORT_KEYS.price(deal), query.priceMin, query.priceMax)) return false;
+  if (!inRange(timeOf(deal.dateSaved), query.savedFrom, query.savedTo)) return false;
+  if (query.searchTerms.length > 0) {
+    const text = `${deal.title || ''} ${deal.notes || ''}`.toLowerCase();
+    if (!query.searchTerms.every((term) => text.includes(term))) return false;
+  }
+  return true;
+}
+
+// Compare two sort positions ({ value, id }): missing values last, then by value in
+// the requested order, then by ID so the order is total.
+function comparePositions(a, b, sortOrder) {
+  if (a.value === null || b.value === null) {
+    if (a.value !== b.value) return a.value === null ? 1 : -1;
+  } else if (a.value !== b.value) {
+    const ascending = a.value < b.value ? -1 : 1;
+    return sortOrder === 'asc' ? ascending : -ascending;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Counts over the whole watchlist, independent of the query's filters.
+export function countDeals(deals, now = new Date()) {
+  const nowMs = now.getTime();
+  const counts = { total: deals.length, byStatus: {}, expiringThisWeek: 0, missed: 0, restocked: 0 };
+  for (const deal of deals) {
+    counts.byStatus[deal.status] = (counts.byStatus[deal.status] || 0) + 1;
+    const expiry = timeOf(deal.expiryDate);
+    if (deal.status === 'watching' && expiry !== null && expiry >= nowMs && expiry - nowMs <= COUNT_WINDOW_MS) {
+      counts.expiringThisWeek += 1;
+    }
+    if (deal.status === 'missed') counts.missed += 1;
+    const restockedAt = timeOf(deal.lastRestock && deal.lastRestock.detectedAt);
+    if (restockedAt !== null && nowMs - restockedAt <= COUNT_WINDOW_MS) counts.restocked += 1;
+  }
+  return counts;
+}
+
+// Run a query over all deals. Returns { deals (this page), total (all matches),
+// nextCursor (null on the last page), counts (see countDeals) }.
+// Throws if the query is invalid.
+export function queryDeals(deals, rawQuery = {}, now = new Date()) {
+  const query = normalizeDealQuery(rawQuery, now);
+  const readSortValue = SORT_KEYS[query.sortBy];
+  const matching = deals
+    .filter((deal) => matchesQuery(deal, query))
+    .map((deal) => ({ deal, position: { value: readSortValue(deal), id: String(deal.id) } }))
+    .sort((a, b) => comparePositions(a.position, b.position, query.sortOrder));
+
+  const start = query.cursor
+    ? matching.findIndex(({ position }) => comparePositions(position, query.cursor, query.sortOrder) > 0)
+    : 0;
+  const page = start === -1 ? [] : matching.slice(start, start + query.limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + query.limit < matching.length;
+  return {
+    deals: page.map(({ deal }) => deal),
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor({ ...last.position, sortBy: query.sortBy, sortOrder: query.sortOrder }) : null,
+    counts: countDeals(deals, now),
+  };
+}
@@ -0,0 +1,268 @@
+// In-page watch state and bulk saving for the SumoSignal content script.
+//
+// Every card with a Save button gets a badge saying whether its deal is already on
+// the watchlist and in what state (saved and how long it has left, missed,
+// purchased, ...). The states of all cards on the page are fetched with one
+// getDealStates request, and fetched again whenever the background reports that
+// deals changed. On listing pages each card also gets a checkbox; selecting cards
+// brings up a floating toolbar that saves them all with one saveDeals request.
+//
+// Loaded as a content script before appSumoDealCapture.js. The helpers it calls at
+// runtime (extractDealUrls, extractDealData, isPrimaryDealElement) are defined there,
+// and its Save button calls watchDealAgain for deals shown as ignored or archived.
+
+// Cards added in quick succession (infinite scroll) share one state request.
+const DEAL_STATE_REFRESH_DELAY_MS = 250;
+// Badges count down, so they are redrawn now and then.
+const BADGE_REDRAW_INTERVAL_MS = 60 * 1000;
+// Expiries closer than this are shown on the badge, and closer than the second
+// highlighted as ending soon.
+const BADGE_COUNTDOWN_HOURS = 7 * 24;
+const BADGE_ENDING_SOON_HOURS = 48;
+const SAVE_BUTTON_LABEL = 'Save to SumoSignal';
+const WATCH_AGAIN_LABEL = 'Watch again';
+// Deals the user stopped watching; their Save button puts them back on the watchlist.
+const REWATCHABLE_STATUSES = ['ignored', 'archived'];
+
+const DEAL_STATUS_LABELS = {
+  watching: 'Saved',
+  missed: 'Missed',
+  purchased: 'Purchased',
+  ignored: 'Ignored',
+  archived: 'Archived',
+};
+
+// Cards being tracked: { element, saveButton, badge, checkbox, state }.
+// state is the background's answer for the card (see getDealStates), or null.
+const trackedDeals = [];
+let dealStateRefreshTimer = null;
+let badgeRedrawTimer = null;
+let bulkToolbar = null;
+
+// "3d 4h", "5h 20m", "12m".
+function describeTimeLeft(hours) {
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${Math.floor(hours % 24)}h`;
+  if (hours >= 1) return `${Math.floor(hours)}h ${Math.floor((hours % 1) * 60)}m`;
+  return `${Math.max(1, Math.round(hours * 60))}m`;
+}
+
+function renderDealState(entry) {
+  const { state, badge, saveButton } = entry;
+  if (!state) {
+    badge.hidden = true;
+    // The deal was deleted (or never saved): offer saving again.
+    if (saveButton.dataset.sumosignalSaved) {
+      delete saveButton.dataset.sumosignalSaved;
+      delete saveButton.dataset.sumosignalRewatchId;
+      saveButton.textContent = SAVE_BUTTON_LABEL;
+      saveButton.disabled = false;
+    }
+    return;
+  }
+
+  let label = DEAL_STATUS_LABELS[state.status] || state.status;
+  let endingSoon = false;
+  if (state.status === 'watching' && state.expiryNeedsReview) {
+    label += ' · check expiry';
+  } else if (state.status === 'watching' && state.expiryDate) {
+    const hoursLeft = (new Date(state.expiryDate).getTime() - Date.now()) / (60 * 60 * 1000);
+    if (hoursLeft <= 0) {
+      label += ' · ended';
+    } else if (hoursLeft <= BADGE_COUNTDOWN_HOURS) {
+      label += ` · ends in ${describeTimeLeft(hoursLeft)}`;
+      endingSoon = hoursLeft <= BADGE_ENDING_SOON_HOURS;
+    }
+  }
+  badge.textContent = label;
+  badge.className = `sumosignal-state-badge sumosignal-state-${state.status}${endingSoon ? ' sumosignal-state-ending' : ''}`;
+  badge.title = state.expiryDate ? `Ends ${new Date(state.expiryDate).toLocaleString()}` : '';
+  badge.hidden = false;
+
+  saveButton.dataset.sumosignalSaved = 'true';
+  if (REWATCHABLE_STATUSES.includes(state.status)) {
+    saveButton.dataset.sumosignalRewatchId = state.dealId;
+    saveButton.textContent = WATCH_AGAIN_LABEL;
+    saveButton.disabled = false;
+  } else {
+    delete saveButton.dataset.sumosignalRewatchId;
+    saveButton.textContent = 'Saved';
+    saveButton.disabled = true;
+  }
+}
+
+// Put an ignored or archived deal back on the watchlist from its card's Save button.
+// The badge is redrawn from the dealStatesChanged message that follows.
+function watchDealAgain(saveButton) {
+  saveButton.textContent = 'Saving...';
+  saveButton.disabled = true;
+  chrome.runtime.sendMessage({ action: 'setDealStatus', dealId: saveButton.dataset.sumosignalRewatchId, status: 'watching' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('SumoSignal: Error watching deal again:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.message);
+      saveButton.textContent = 'Error!';
+      setTimeout(() => {
+        saveButton.textContent = WATCH_AGAIN_LABEL;
+        saveButton.disabled = false;
+      }, 2000);
+      return;
+    }
+    scheduleDealStateRefresh();
+  });
+}
+
+// Start tracking a card that has just been given its Save button.
+function trackDealElement(dealElement, saveButton) {
+  const badge = document.createElement('span');
+  badge.classList.add('sumosignal-state-badge');
+  badge.hidden = true;
+  saveButton.insertAdjacentElement('afterend', badge);
+
+  // Listing cards can be selected for bulk saving; the product page's own deal can't.
+  let checkbox = null;
+  if (!isPrimaryDealElement(dealElement)) {
+    const label = document.createElement('label');
+    label.classList.add('sumosignal-select');
+    checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.setAttribute('aria-label', 'Select for SumoSignal bulk save');
+    // Clicks on the checkbox mustn't follow the card's link.
+    label.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', updateBulkToolbar);
+    label.append(checkbox, ' Select');
+    badge.insertAdjacentElement('afterend', label);
+  }
+
+  trackedDeals.push({ element: dealElement, saveButton, badge, checkbox, state: null });
+  scheduleDealStateRefresh();
+  if (!badgeRedrawTimer) {
+    badgeRedrawTimer = setInterval(() => trackedDeals.forEach(renderDealState), BADGE_REDRAW_INTERVAL_MS);
+  }
+}
+
+function scheduleDealStateRefresh() {
+  clearTimeout(dealStateRefreshTimer);
+  dealStateRefreshTimer = setTimeout(refreshDealStates, DEAL_STATE_REFRESH_DELAY_MS);
+}
+
+// Ask the background for the state of every tracked card in one request.
+function refreshDealStates() {
+  // Cards removed by the page (e.g. a re-rendered listing) are dropped.
+  for (let i = trackedDeals.length - 1; i >= 0; i -= 1) {
+    if (!trackedDeals[i].element.isConnected) trackedDeals.splice(i, 1);
+  }
+  if (trackedDeals.length === 0) return;
+
+  const requests = trackedDeals.map((entry) => ({ entry, urls: extractDealUrls(entry.element) }));
+  const urls = [...new Set(requests.flatMap(({ urls }) => [urls.canonicalUrl, urls.url].filter(Boolean)))];
+  chrome.runtime.sendMessage({ action: 'getDealStates', urls }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.warn('SumoSignal: Could not load deal states:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.message);
+      return;
+    }
+    for (const { entry, urls } of requests) {
+      entry.state = (urls.canonicalUrl && response.data[urls.canonicalUrl]) || response.data[urls.url] || null;
+      renderDealState(entry);
+    }
+  });
+}
+
+// --- Bulk save toolbar ---
+
+function selectedDeals() {
+  return trackedDeals.filter((entry) => entry.checkbox && entry.checkbox.checked && entry.element.isConnected);
+}
+
+function createBulkToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.classList.add('sumosignal-bulk-toolbar');
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', 'SumoSignal bulk save');
+
+  const count = document.createElement('span');
+  count.classList.add('sumosignal-bulk-count');
+  const status = document.createElement('span');
+  status.classList.add('sumosignal-bulk-status');
+  status.setAttribute('role', 'status');
+
+  const button = (text, onClick) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = text;
+    element.addEventListener('click', onClick);
+    return element;
+  };
+  const saveButton = button('Save selected', saveSelectedDeals);
+  saveButton.classList.add('sumosignal-bulk-save');
+  const selectAll = button('Select all', () => {
+    trackedDeals.forEach((entry) => {
+      // Deals already on the watchlist are left out.
+      if (entry.checkbox && !entry.state) entry.checkbox.checked = true;
+    });
+    updateBulkToolbar();
+  });
+  const clear = button('Clear', () => {
+    trackedDeals.forEach((entry) => {
+      if (entry.checkbox) entry.checkbox.checked = false;
+    });
+    updateBulkToolbar();
+  });
+
+  toolbar.append(count, saveButton, selectAll, clear, status);
+  document.body.appendChild(toolbar);
+  return { toolbar, count, status, saveButton };
+}
+
+function updateBulkToolbar() {
+  const selected = selectedDeals();
+  if (!bulkToolbar) {
+    if (selected.length === 0) return;
+    bulkToolbar = createBulkToolbar();
+  }
+  bulkToolbar.count.textContent = `${selected.length} selected`;
+  bulkToolbar.saveButton.disabled = selected.length === 0;
+  // Stay visible while a result message is showing.
+  bulkToolbar.toolbar.hidden = selected.length === 0 && !bulkToolbar.status.textContent;
+}
+
+function saveSelectedDeals() {
+  const selected = selectedDeals()
+    .map((entry) => ({ entry, data: extractDealData(entry.element) }))
+    .filter(({ data }) => data.title && data.url);
+  if (selected.length === 0) {
+    bulkToolbar.status.textContent = 'Nothing to save: the selected cards have no title or link.';
+    return;
+  }
+
+  bulkToolbar.saveButton.disabled = true;
+  bulkToolbar.status.textContent = `Saving ${selected.length}...`;
+  chrome.runtime.sendMessage({ action: 'saveDeals', deals: selected.map(({ data }) => data) }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      console.error('SumoSignal: Error saving deals:', chrome.runtime.lastError && chrome.runtime.lastError.message);
+      bulkToolbar.status.textContent = 'Error! The deals were not saved.';
+      updateBulkToolbar();
+      return;
+    }
+    // Results come back in the order the deals were sent. Failed cards stay selected
+    // so they can be retried.
+    (response.data || []).forEach((result, index) => {
+      const { entry } = selected[index];
+      if (!result.success) return;
+      entry.checkbox.checked = false;
+      entry.state = result.state;
+      renderDealState(entry);
+    });
+    bulkToolbar.status.textContent = response.message || '';
+    updateBulkToolbar();
+    setTimeout(() => {
+      bulkToolbar.status.textContent = '';
+      updateBulkToolbar();
+    }, 5000);
+  });
+}
+
+// The background sends dealStatesChanged to AppSumo tabs whenever saved deals change
+// (saved, status changed, expiry moved, deleted), from this tab or anywhere else.
+chrome.runtime.onMessage.addListener((message) => {
+  if (message && message.action === 'dealStatesChanged') {
+    scheduleDealStateRefresh();
+  }
+});
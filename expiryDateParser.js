@@ -0,0 +1,350 @@
+// Expiry date parser shared by the content script and the background worker.
+//
+// Turns the many ways a deal page can describe its deadline ("Ends Oct 25, 2025 at
+// 11:59 PM PT", "Ends at 11:59 PM PT on Oct 25", "2d 4h 13m", "25 de octubre de
+// 2025", "ends in 3 days") into an absolute instant plus a confidence level, so
+// callers can tell a precise deadline from a guess.
+//
+// This file has no imports or exports so it can be loaded both as a classic content
+// script and, for its side effect, as an ES module import in the service worker.
+// Either way it publishes a single global: ExpiryDateParser.
+
+(function (global) {
+  const MONTHS = {
+    // English
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7,
+    september: 8, october: 9, november: 10, december: 11,
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11,
+    // Spanish
+    enero: 0, febrero: 1, marzo: 2, abril: 3, mayo: 4, junio: 5, julio: 6, agosto: 7,
+    septiembre: 8, setiembre: 8, octubre: 9, noviembre: 10, diciembre: 11,
+    // French
+    janvier: 0, 'février': 1, fevrier: 1, mars: 2, avril: 3, mai: 4, juin: 5, juillet: 6,
+    'août': 7, aout: 7, septembre: 8, octobre: 9, novembre: 10, 'décembre': 11, decembre: 11,
+    // German
+    januar: 0, 'jänner': 0, februar: 1, 'märz': 2, maerz: 2, juni: 5, juli: 6,
+    oktober: 9, dezember: 11,
+    // Portuguese
+    janeiro: 0, fevereiro: 1, 'março': 2, marco: 2, maio: 4, junho: 5, julho: 6,
+    setembro: 8, outubro: 9, novembro: 10, dezembro: 11,
+    // Italian
+    gennaio: 0, febbraio: 1, aprile: 3, maggio: 4, giugno: 5, luglio: 6,
+    settembre: 8, ottobre: 9, dicembre: 11,
+    // Dutch
+    januari: 0, februari: 1, maart: 2, mei: 4, augustus: 7,
+  };
+
+  // Fixed-offset zones, in minutes east of UTC.
+  const FIXED_ZONES = {
+    utc: 0, gmt: 0, z: 0,
+    pst: -480, pdt: -420, mst: -420, mdt: -360, cst: -360, cdt: -300, est: -300, edt: -240,
+    akst: -540, akdt: -480, hst: -600,
+    bst: 60, cet: 60, cest: 120, mez: 60, mesz: 120, eet: 120, eest: 180, wet: 0, west: 60,
+    ist: 330, sgt: 480, jst: 540, kst: 540, aest: 600, aedt: 660, nzst: 720, nzdt: 780,
+  };
+
+  // Generic US zones ("PT", "ET", ...) switch between standard and daylight time.
+  const US_GENERIC_ZONES = {
+    pt: [-480, -420], mt: [-420, -360], ct: [-360, -300], et: [-300, -240],
+  };
+
+  // Countdown unit words, including common non-English forms.
+  const UNIT_PATTERNS = [
+    { unit: 'd', pattern: 'd|days?|días?|dias?|jours?|j|tage?n?|giorni|giorno|dagen|dag' },
+    { unit: 'h', pattern: 'h|hrs?|hours?|horas?|heures?|stunden?|std|ore|ora|uur' },
+    { unit: 'm', pattern: 'm|mins?|minutes?|minutos?|minuten?|minuti|minuto' },
+    { unit: 's', pattern: 's|secs?|seconds?|segundos?|secondes?|sekunden?|secondi|seconden' },
+  ];
+  const UNIT_MS = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+
+  const MONTH_NAME = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+
+  // Is US daylight saving time in effect on this calendar date?
+  // Second Sunday of March through the first Sunday of November.
+  function isUsDaylightTime(year, month, day) {
+    if (month < 2 || month > 10) return false;
+    if (month > 2 && month < 10) return true;
+    const firstOfMonth = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const firstSunday = 1 + ((7 - firstOfMonth) % 7);
+    return month === 2 ? day >= firstSunday + 7 : day < firstSunday;
+  }
+
+  // Parse a time-zone token ("PT", "CEST", "+05:30", "UTC-7", "GMT+0200") into an
+  // offset in minutes for the given date, or null if it is not a zone.
+  function zoneOffset(token, year, month, day) {
+    if (!token) return null;
+    const cleaned = token.trim().toLowerCase();
+    const numeric = cleaned.match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (numeric) {
+      const sign = numeric[1] === '-' ? -1 : 1;
+      return sign * (parseInt(numeric[2], 10) * 60 + parseInt(numeric[3] || '0', 10));
+    }
+    if (cleaned in FIXED_ZONES) return FIXED_ZONES[cleaned];
+    if (cleaned in US_GENERIC_ZONES) {
+      const [standard, daylight] = US_GENERIC_ZONES[cleaned];
+      return isUsDaylightTime(year, month, day) ? daylight : standard;
+    }
+    return null;
+  }
+
+  const ZONE_TOKEN = `((?:utc|gmt)\\s*[+-]\\d{1,2}(?::?\\d{2})?|[+-]\\d{2}:?\\d{2}|${[...Object.keys(FIXED_ZONES), ...Object.keys(US_GENERIC_ZONES)].filter((z) => z !== 'z').join('|')})`;
+  const TIME_PATTERN = new RegExp(
+    `(?:\\bat\\b|\\bum\\b|\\bà\\b|\\ba las\\b|\\balle\\b|@|,)?\\s*` +
+    `(\\d{1,2})(?:[:.h](\\d{2}))?(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)?(?:\\s*uhr)?` +
+    `(?:\\s*\\(?${ZONE_TOKEN}\\)?)?(?![\\d/])`,
+    'i'
+  );
+
+  // Build the instant for a wall-clock time, either in a known offset or local time.
+  function buildInstant(year, month, day, hours, minutes, seconds, offsetMinutes) {
+    if (offsetMinutes === null || offsetMinutes === undefined) {
+      return new Date(year, month, day, hours, minutes, seconds, seconds === 59 ? 999 : 0);
+    }
+    const utc = Date.UTC(year, month, day, hours, minutes, seconds, seconds === 59 ? 999 : 0);
+    return new Date(utc - offsetMinutes * 60000);
+  }
+
+  // Read the time-of-day (and zone) that follows a date, from `rest`.
+  function readTime(rest, year, month, day) {
+    if (/\bmidnight\b|\bmedianoche\b|\bminuit\b|\bmitternacht\b/i.test(rest)) {
+      return { hours: 23, minutes: 59, seconds: 59, offset: null, hasTime: true };
+    }
+    if (/\bnoon\b|\bmidday\b|\bmediod[ií]a\b|\bmidi\b|\bmittag\b/i.test(rest)) {
+      return { hours: 12, minutes: 0, seconds: 0, offset: null, hasTime: true };
+    }
+    const match = rest.match(TIME_PATTERN);
+    if (!match || (!match[2] && !match[4])) {
+      // A bare number is not a time; still look for a zone on its own ("Oct 25 PT").
+      const zoneOnly = rest.match(new RegExp(`(?:^|\\s)${ZONE_TOKEN}\\b`, 'i'));
+      return { hours: 23, minutes: 59, seconds: 59, offset: zoneOnly ? zoneOffset(zoneOnly[1], year, month, day) : null, hasTime: false };
+    }
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    const seconds = parseInt(match[3] || '0', 10);
+    const meridiem = match[4] ? match[4].replace(/\./g, '').toLowerCase() : null;
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return { hours, minutes, seconds, offset: zoneOffset(match[5], year, month, day), hasTime: true };
+  }
+
+  // Read a time written ahead of the date ("Ends at 11:59 PM PT on Oct 25"), from
+  // `before`: the last time in it wins. Returns null if there is none.
+  function readTimeBefore(before, year, month, day) {
+    const times = [...before.matchAll(new RegExp(TIME_PATTERN.source, 'gi'))].filter((match) => match[2] || match[4]);
+    const time = readTime(times.length > 0 ? before.slice(times[times.length - 1].index) : before, year, month, day);
+    return time && time.hasTime ? time : null;
+  }
+
+  function validDate(year, month, day) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return false;
+    const probe = new Date(Date.UTC(year, month, day));
+    return probe.getUTCMonth() === month;
+  }
+
+  // Absolute date + optional time/zone. `dateMatch` locates the date within text.
+  function resolveAbsolute(text, dateMatch, year, month, day, baseConfidence, yearGuessed) {
+    if (!validDate(year, month, day)) return null;
+    const rest = text.slice(dateMatch.index + dateMatch[0].length);
+    let time = readTime(rest, year, month, day);
+    if (!time) return null;
+    if (!time.hasTime) {
+      // No time after the date; it may come first. A zone after the date still counts.
+      const before = readTimeBefore(text.slice(0, dateMatch.index), year, month, day);
+      if (before) time = { ...before, offset: before.offset ?? time.offset };
+    }
+    const instant = buildInstant(year, month, day, time.hours, time.minutes, time.seconds, time.offset);
+
+    // Date + time + zone is exact; anything less needs an assumption.
+    let confidence = baseConfidence;
+    if (confidence === 'high' && !(time.hasTime && time.offset !== null)) confidence = 'medium';
+    if (yearGuessed && confidence === 'high') confidence = 'medium';
+    return {
+      iso: instant.toISOString(),
+      confidence,
+      kind: 'absolute',
+      matchedText: text.slice(dateMatch.index).trim(),
+      timeZone: time.offset === null ? 'local' : time.offset,
+      precisionMs: 0,
+      assumptions: [
+        ...(time.hasTime ? [] : ['no time given, assumed end of day']),
+        ...(time.offset === null ? ['no time zone given, assumed local time'] : []),
+        ...(yearGuessed ? ['no year given, assumed next occurrence'] : []),
+      ],
+    };
+  }
+
+  function parseIso(text) {
+    const match = text.match(/\b(\d{4})-(\d{2})-(\d{2})(?:[t\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})?)?/i);
+    if (!match) return null;
+    const [, y, mo, d, h, mi, sec, zone] = match;
+    const year = parseInt(y, 10);
+    const month = parseInt(mo, 10) - 1;
+    const day = parseInt(d, 10);
+    if (!validDate(year, month, day)) return null;
+    if (h === undefined) {
+      return resolveAbsolute(text, match, year, month, day, 'high', false);
+    }
+    const offset = zone ? zoneOffset(zone === 'z' || zone === 'Z' ? 'utc' : zone, year, month, day) : null;
+    const instant = buildInstant(year, month, day, parseInt(h, 10), parseInt(mi, 10), parseInt(sec || '0', 10), offset);
+    return {
+      iso: instant.toISOString(),
+      confidence: offset === null ? 'medium' : 'high',
+      kind: 'iso',
+      matchedText: match[0],
+      timeZone: offset === null ? 'local' : offset,
+      precisionMs: 0,
+      assumptions: offset === null ? ['no time zone given, assumed local time'] : [],
+    };
+  }
+
+  // Year for a date written without one: this year, or next year if already past.
+  function guessYear(month, day, now) {
+    const year = now.getFullYear();
+    const candidate = new Date(year, month, day, 23, 59, 59);
+    return candidate.getTime() < now.getTime() - 86400000 ? year + 1 : year;
+  }
+
+  function parseNamedMonth(text, now) {
+    // "Oct 25, 2025" / "October 25th 2025"
+    let match = text.match(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?![\\d:])`, 'i'));
+    if (match && MONTHS[match[1].toLowerCase()] !== undefined) {
+      const month = MONTHS[match[1].toLowerCase()];
+      const day = parseInt(match[2], 10);
+      const year = match[3] ? parseInt(match[3], 10) : guessYear(month, day, now);
+      return resolveAbsolute(text, match, year, month, day, 'high', !match[3]);
+    }
+    // "25 Oct 2025" / "25. Oktober 2025" / "25 de octubre de 2025" / "le 25 octobre"
+    match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|er|\\.|º)?\\s+(?:de\\s+)?${MONTH_NAME}(?:,?\\s+(?:de\\s+)?(\\d{4}))?`, 'i'));
+    if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+      const month = MONTHS[match[2].toLowerCase()];
+      const day = parseInt(match[1], 10);
+      const year = match[3] ? parseInt(match[3], 10) : guessYear(month, day, now);
+      return resolveAbsolute(text, match, year, month, day, 'high', !match[3]);
+    }
+    return null;
+  }
+
+  // Numeric dates: "10/25/2025" (US), "25/10/2025", "25.10.2025" (European).
+  function parseNumeric(text) {
+    const match = text.match(/\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/);
+    if (!match) return null;
+    const a = parseInt(match[1], 10);
+    const b = parseInt(match[3], 10);
+    let year = parseInt(match[4], 10);
+    if (year < 100) year += 2000;
+
+    let month;
+    let day;
+    let confidence = 'medium';
+    if (a > 12 && b <= 12) {
+      day = a; month = b - 1; // Only D/M/Y fits
+    } else if (b > 12 && a <= 12) {
+      month = a - 1; day = b; // Only M/D/Y fits
+    } else if (match[2] === '.') {
+      day = a; month = b - 1; // Dotted dates are European by convention
+    } else {
+      // Ambiguous (e.g. 03/04/2025). AppSumo is a US site, so assume M/D/Y, but say so.
+      month = a - 1; day = b;
+      confidence = 'low';
+    }
+    const parsed = resolveAbsolute(text, match, year, month, day, confidence, false);
+    if (parsed && confidence === 'low') parsed.assumptions.push('ambiguous numeric date, assumed month/day/year');
+    return parsed;
+  }
+
+  // "2d 4h 13m 5s", "2 days 4 hours", "02:04:13:05", "04:13:05 left".
+  function parseCountdown(text, now) {
+    let total = 0;
+    let partsFound = 0;
+    let hasSmallUnits = false;
+    let smallestUnitMs = null;
+    for (const { unit, pattern } of UNIT_PATTERNS) {
+      const match = text.match(new RegExp(`(\\d+)\\s*(?:${pattern})\\b`, 'i'));
+      if (match) {
+        total += parseInt(match[1], 10) * UNIT_MS[unit];
+        partsFound += 1;
+        smallestUnitMs = UNIT_MS[unit]; // UNIT_PATTERNS runs from days down to seconds
+        if (unit === 'm' || unit === 's') hasSmallUnits = true;
+      }
+    }
+    if (partsFound >= 2 || (partsFound === 1 && hasSmallUnits)) {
+      return {
+        iso: new Date(now.getTime() + total).toISOString(),
+        confidence: hasSmallUnits ? 'high' : 'medium',
+        kind: 'countdown',
+        matchedText: text,
+        timeZone: 0,
+        precisionMs: smallestUnitMs,
+        assumptions: hasSmallUnits ? [] : ['countdown has no minutes, accurate to the hour'],
+      };
+    }
+
+    // Colon-separated clock: 4 groups = d:h:m:s, 3 groups = h:m:s. Without an AM/PM
+    // marker a 3-group value reads as time remaining, not a time of day.
+    const clock = text.match(/\b(\d{1,3}):(\d{2}):(\d{2})(?::(\d{2}))?\b(?!\s*[ap]\.?m)/i);
+    if (clock) {
+      const groups = clock.slice(1).filter((g) => g !== undefined).map((g) => parseInt(g, 10));
+      const [d, h, m, s] = groups.length === 4 ? groups : [0, ...groups];
+      if (h < 24 || groups.length === 3) {
+        return {
+          iso: new Date(now.getTime() + d * UNIT_MS.d + h * UNIT_MS.h + m * UNIT_MS.m + s * UNIT_MS.s).toISOString(),
+          confidence: /left|remaining|ends in|expires in|restan|reste|verbleibend|noch/i.test(text) ? 'high' : 'medium',
+          kind: 'countdown',
+          matchedText: clock[0],
+          timeZone: 0,
+          precisionMs: UNIT_MS.s,
+          assumptions: [],
+        };
+      }
+    }
+    return null;
+  }
+
+  // "ends in 3 days", "5 hours left", "tonight", "tomorrow".
+  function parseRelative(text, now) {
+    if (/\b(tonight|today|hoy|aujourd'hui|heute|oggi|hoje)\b/i.test(text)) {
+      const date = new Date(now);
+      date.setHours(23, 59, 59, 999);
+      return { iso: date.toISOString(), confidence: 'medium', kind: 'relative', matchedText: text, timeZone: 'local', precisionMs: 0, assumptions: ['assumed end of today'] };
+    }
+    if (/\b(tomorrow|mañana|demain|morgen|domani|amanhã)\b/i.test(text)) {
+      const date = new Date(now);
+      date.setDate(date.getDate() + 1);
+      date.setHours(23, 59, 59, 999);
+      return { iso: date.toISOString(), confidence: 'medium', kind: 'relative', matchedText: text, timeZone: 'local', precisionMs: 0, assumptions: ['assumed end of tomorrow'] };
+    }
+    const match = text.match(/(\d+)\s*(days?|hours?|weeks?)\b/i);
+    if (!match || !/\b(in|left|remaining|ends?|expires?)\b/i.test(text)) return null;
+    const value = parseInt(match[1], 10);
+    const unit = match[2].toLowerCase();
+    const date = new Date(now);
+    if (unit.startsWith('hour')) {
+      date.setTime(date.getTime() + value * UNIT_MS.h);
+      return { iso: date.toISOString(), confidence: 'medium', kind: 'relative', matchedText: match[0], timeZone: 0, precisionMs: UNIT_MS.h, assumptions: ['accurate to the hour'] };
+    }
+    date.setDate(date.getDate() + value * (unit.startsWith('week') ? 7 : 1));
+    date.setHours(23, 59, 59, 999);
+    return { iso: date.toISOString(), confidence: 'low', kind: 'relative', matchedText: match[0], timeZone: 'local', precisionMs: 0, assumptions: ['only the day is known, assumed end of day'] };
+  }
+
+  // Parse expiry text. Returns null if nothing usable is found, otherwise
+  // { iso, confidence: 'high' | 'medium' | 'low', kind, matchedText, timeZone, precisionMs, assumptions }.
+  // timeZone is an offset in minutes, or 'local' when local time had to be assumed.
+  // precisionMs is how far two readings of the same deadline can differ: a countdown
+  // read to the hour ("2d 4h") gives an hour, one with seconds a second, and a
+  // written date 0, since it reads the same every time.
+  function parse(text, { now = new Date() } = {}) {
+    if (!text || typeof text !== 'string') return null;
+    const cleaned = text.replace(/\s+/g, ' ').trim();
+    if (!cleaned) return null;
+
+    return parseIso(cleaned) ||
+      parseNamedMonth(cleaned, now) ||
+      parseNumeric(cleaned) ||
+      parseCountdown(cleaned, now) ||
+      parseRelative(cleaned, now);
+  }
+
+  global.ExpiryDateParser = { parse, isUsDaylightTime };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
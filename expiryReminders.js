@@ -0,0 +1,58 @@
+// Expiry reminders: configurable stages before a deal's deadline (e.g. 7 days, 48h,
+// 6h, 1h), each fired at most once per deal.
+//
+// State lives on the deal as deal.reminders = { expiryDate, firedStages, snoozedUntil,
+// muted }, so it survives service-worker restarts. Fired stages belong to the expiry
+// they were fired for: when the deadline moves, every stage is due again.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Valid stages, longest first. The lead time is the first reminder: stages earlier
+// than it are dropped and it is added as a stage of its own, so a 72h lead time with
+// stages 168, 48, 6 and 1 reminds at 72h, 48h, 6h and 1h.
+export function getReminderStages(stagesHours, leadTimeHours) {
+  const stages = (Array.isArray(stagesHours) ? stagesHours : [])
+    .map(Number)
+    .filter((hours) => Number.isFinite(hours) && hours > 0)
+    .filter((hours) => !Number.isFinite(leadTimeHours) || hours <= leadTimeHours);
+  if (Number.isFinite(leadTimeHours) && leadTimeHours > 0) stages.push(leadTimeHours);
+  return [...new Set(stages)].sort((a, b) => b - a);
+}
+
+// The deal's reminder state, with fired stages cleared if the expiry has changed.
+export function getReminderState(deal) {
+  const reminders = deal.reminders || {};
+  const sameExpiry = reminders.expiryDate === (deal.expiryDate || null);
+  return {
+    expiryDate: deal.expiryDate || null,
+    firedStages: sameExpiry && Array.isArray(reminders.firedStages) ? reminders.firedStages : [],
+    snoozedUntil: reminders.snoozedUntil || null,
+    muted: Boolean(reminders.muted),
+  };
+}
+
+// Decide whether a reminder is due for the deal now.
+// Returns { stage, hoursLeft, reminders }: stage is the stage (in hours) to announce,
+// or null; reminders is the state to store, or null if it hasn't changed.
+// When several stages are due at once (the deal was saved late, or a snooze just
+// ended) only the most urgent is announced and the rest are marked fired with it.
+export function evaluateExpiryReminder(deal, stages, now = new Date()) {
+  const none = { stage: null, hoursLeft: null, reminders: null };
+  if (!deal.expiryDate) return none;
+  const msLeft = new Date(deal.expiryDate).getTime() - now.getTime();
+  if (isNaN(msLeft) || msLeft <= 0) return none;
+
+  const state = getReminderState(deal);
+  if (state.muted) return none;
+  if (state.snoozedUntil && new Date(state.snoozedUntil).getTime() > now.getTime()) return none;
+
+  const hoursLeft = msLeft / HOUR_MS;
+  const due = stages.filter((hours) => hoursLeft <= hours && !state.firedStages.includes(hours));
+  if (due.length === 0) return none;
+
+  return {
+    stage: Math.min(...due),
+    hoursLeft,
+    reminders: { ...state, firedStages: [...state.firedStages, ...due], snoozedUntil: null },
+  };
+}
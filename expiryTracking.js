@@ -0,0 +1,103 @@
+// Expiry tracking: per-deal expiry history and extended/shortened/last-call detection.
+//
+// Every expiry reading (capture, live countdown, background page check, manual
+// confirmation) goes through recordExpiryObservation, which decides whether the
+// deadline really moved and keeps a timeline in deal.expiryHistory.
+
+import { DEAL_STATUSES, transitionDeal } from './dealLifecycle.js';
+
+// Readings closer than this to the previous expiry are treated as the same deadline.
+// Coarse readings widen it to their precision, see expiryTolerance.
+export const EXPIRY_CHANGE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Oldest entries are dropped beyond this.
+const MAX_EXPIRY_HISTORY = 100;
+
+// Confidence ranking; a weaker reading never replaces a stronger one. A confirmed
+// expiry ranks with 'high' so a precise reading can still report a real extension.
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2, confirmed: 2 };
+
+function confidenceRank(confidence) {
+  // Deals saved before confidence scoring existed count as medium.
+  return confidence in CONFIDENCE_RANK ? CONFIDENCE_RANK[confidence] : CONFIDENCE_RANK.medium;
+}
+
+// The expiry the deal was last known to have: the newest history entry, falling
+// back to the deal's own field for records without history.
+export function getLastKnownExpiry(deal) {
+  const history = Array.isArray(deal.expiryHistory) ? deal.expiryHistory : [];
+  const last = history.length > 0 ? history[history.length - 1] : null;
+  return last ? last.expiryDate : deal.expiryDate || null;
+}
+
+// How far a reading may be from the stored expiry and still be the same deadline. A
+// countdown read to the hour ("2d 4h") lands anywhere within that hour on each page
+// load, so the coarser of the two readings' precisions (precisionMs from
+// expiryDateParser.js) counts, never less than EXPIRY_CHANGE_TOLERANCE_MS.
+export function expiryTolerance(deal, observation) {
+  const precisions = [observation.precisionMs, deal.expiryPrecisionMs].filter((value) => Number.isFinite(value));
+  return Math.max(EXPIRY_CHANGE_TOLERANCE_MS, ...precisions);
+}
+
+// 'extended', 'shortened' or null when the two instants are within tolerance.
+export function classifyExpiryChange(previousIso, nextIso, toleranceMs = EXPIRY_CHANGE_TOLERANCE_MS) {
+  if (!previousIso || !nextIso) return null;
+  const delta = new Date(nextIso).getTime() - new Date(previousIso).getTime();
+  if (isNaN(delta) || Math.abs(delta) <= toleranceMs) return null;
+  return delta > 0 ? 'extended' : 'shortened';
+}
+
+// Work out the deal changes for a new expiry reading.
+// `observation` is { expiryDate, confidence, precisionMs, text, lastCall, source };
+// expiryDate may be null when only a last-call banner was seen.
+// Returns { changes, events }: changes is the patch to store (empty if nothing
+// changed) and events lists what should be announced, each
+// { type: 'extended' | 'shortened' | 'last_call', from, to, revived }.
+export function recordExpiryObservation(deal, observation, now = new Date()) {
+  const changes = {};
+  const events = [];
+  const observedAt = now.toISOString();
+  const history = Array.isArray(deal.expiryHistory) ? deal.expiryHistory : [];
+
+  const nextIso = observation.expiryDate ? new Date(observation.expiryDate).toISOString() : null;
+  const previousIso = getLastKnownExpiry(deal);
+  const change = !nextIso ? null : previousIso ? classifyExpiryChange(previousIso, nextIso, expiryTolerance(deal, observation)) : 'initial';
+  const weaker = confidenceRank(observation.confidence) < confidenceRank(deal.expiryConfidence);
+
+  // Skip the same deadline, and vaguer readings than the one we have.
+  if (change && (change === 'initial' || !weaker)) {
+    Object.assign(changes, {
+      expiryDate: nextIso,
+      expiryConfidence: observation.confidence || null,
+      expiryPrecisionMs: Number.isFinite(observation.precisionMs) ? observation.precisionMs : null,
+      expiryText: observation.text || deal.expiryText || null,
+      expirySource: observation.source || null,
+      expiryNeedsReview: observation.confidence === 'low',
+      expiryHistory: [...history, {
+        observedAt,
+        expiryDate: nextIso,
+        previousExpiryDate: previousIso,
+        change,
+        source: observation.source || null,
+        confidence: observation.confidence || null,
+      }].slice(-MAX_EXPIRY_HISTORY),
+    });
+  }
+
+  if (changes.expiryDate && (change === 'extended' || change === 'shortened')) {
+    // A missed deal whose deadline moved into the future is live again.
+    const revived = change === 'extended' && deal.status === DEAL_STATUSES.missed && new Date(nextIso).getTime() > now.getTime();
+    if (revived) Object.assign(changes, transitionDeal(deal, DEAL_STATUSES.watching, { reason: 'expiry_extended', at: now }));
+    // An extension clears an earlier last-call banner, so the next one is news again.
+    if (change === 'extended') changes.lastCallSeenAt = null;
+    events.push({ type: change, from: previousIso, to: nextIso, revived });
+  }
+
+  const lastCallSeenAt = 'lastCallSeenAt' in changes ? changes.lastCallSeenAt : deal.lastCallSeenAt;
+  if (observation.lastCall && !lastCallSeenAt) {
+    const expiryDate = changes.expiryDate || deal.expiryDate || null;
+    changes.lastCallSeenAt = observedAt;
+    events.push({ type: 'last_call', from: expiryDate, to: expiryDate, revived: false });
+  }
+  return { changes, events };
+}
@@ -0,0 +1,140 @@
+// Fetch queue for the background worker's page checks.
+//
+// Checking a long watchlist means hundreds of requests to the same host. The queue
+// runs at most `concurrency` requests at once, spaces requests to any one host by
+// `perHostIntervalMs`, and when a host answers 429 or 5xx it backs off that host
+// exponentially (or for as long as its Retry-After header asks) before retrying.
+
+// Statuses that mean "try again later" rather than "this page is gone".
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Retry-After is either seconds or an HTTP date. Returns milliseconds, or null.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function timeoutError(timeoutMs) {
+  const error = new Error(`Timed out after ${timeoutMs / 1000}s`);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+export class FetchQueue {
+  constructor({
+    concurrency = 3,
+    perHostIntervalMs = 1000,
+    maxRetries = 3,
+    baseBackoffMs = 2000,
+    maxBackoffMs = 5 * 60 * 1000,
+    fetchImpl = (...args) => fetch(...args),
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.perHostIntervalMs = perHostIntervalMs;
+    this.maxRetries = maxRetries;
+    this.baseBackoffMs = baseBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.fetchImpl = fetchImpl;
+    this._active = 0;
+    this._waiting = [];
+    // host -> earliest time the next request to it may start
+    this._hostReadyAt = new Map();
+  }
+
+  // Queue a request. Resolves to the final Response: a retryable status is retried
+  // up to maxRetries times and then returned as-is, so callers handle it like any
+  // other failed response. Network errors are retried the same way and then thrown.
+  // `timeoutMs` limits each attempt, not the time spent queued or backing off; an
+  // attempt that runs out throws an error named 'TimeoutError' and isn't retried.
+  async fetch(url, options = {}, { timeoutMs = null } = {}) {
+    await this._acquireSlot();
+    try {
+      for (let attempt = 0; ; attempt += 1) {
+        await this._waitForHost(url);
+        let response;
+        try {
+          response = await this._attempt(url, options, timeoutMs);
+        } catch (error) {
+          if (error.name === 'AbortError' || error.name === 'TimeoutError' || attempt >= this.maxRetries) throw error;
+          this._backOff(url, attempt, null);
+          continue;
+        }
+        if (!RETRYABLE_STATUSES.has(response.status) || attempt >= this.maxRetries) {
+          return response;
+        }
+        const retryAfter = response.headers && response.headers.get ? response.headers.get('Retry-After') : null;
+        const delay = this._backOff(url, attempt, parseRetryAfter(retryAfter));
+        console.warn(`${url} returned ${response.status}; retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${this.maxRetries}).`);
+      }
+    } finally {
+      this._releaseSlot();
+    }
+  }
+
+  // --- Internals ---
+
+  // One request. With a timeout the clock starts here, once the request is actually
+  // sent, and keeps running after the headers arrive so reading the body counts too.
+  async _attempt(url, options, timeoutMs) {
+    if (!timeoutMs) return this.fetchImpl(url, options);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await this.fetchImpl(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      clearTimeout(timer);
+      if (controller.signal.aborted) throw timeoutError(timeoutMs);
+      throw error;
+    }
+  }
+
+  _acquireSlot() {
+    if (this._active < this.concurrency) {
+      this._active += 1;
+      return Promise.resolve();
+    }
+    // The releasing request hands its slot straight over, so _active stays the same.
+    return new Promise((resolve) => this._waiting.push(resolve));
+  }
+
+  _releaseSlot() {
+    const next = this._waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this._active -= 1;
+    }
+  }
+
+  // Wait until the host may be contacted again and reserve the following interval.
+  async _waitForHost(url) {
+    const host = hostOf(url);
+    const now = Date.now();
+    const readyAt = Math.max(now, this._hostReadyAt.get(host) || 0);
+    this._hostReadyAt.set(host, readyAt + this.perHostIntervalMs);
+    if (readyAt > now) await sleep(readyAt - now);
+  }
+
+  // Push the host's next slot back: Retry-After if the server gave one, otherwise
+  // baseBackoffMs doubled per attempt with some jitter. Returns the delay used.
+  _backOff(url, attempt, retryAfterMs) {
+    const exponential = this.baseBackoffMs * 2 ** attempt * (0.8 + Math.random() * 0.4);
+    const delay = Math.min(this.maxBackoffMs, retryAfterMs ?? exponential);
+    const host = hostOf(url);
+    this._hostReadyAt.set(host, Math.max(this._hostReadyAt.get(host) || 0, Date.now() + delay));
+    return delay;
+  }
+}
@@ -0,0 +1,141 @@
+// iCalendar (RFC 5545) export of deal deadlines.
+//
+// Every watched deal with an expiry date becomes an event at its deadline, with one
+// alarm per reminder stage. UIDs are derived from the deal ID, so importing a newer
+// export into the same calendar updates the events instead of duplicating them;
+// SEQUENCE and LAST-MODIFIED follow the deal's last update so calendars take the
+// newer version.
+
+import { DEAL_STATUSES } from './dealLifecycle.js';
+
+const PRODUCT_ID = '-//SumoSignal//Deal Deadlines//EN';
+const CALENDAR_NAME = 'SumoSignal deal deadlines';
+const UID_DOMAIN = 'sumosignal.deals';
+// Lines longer than this many octets are folded.
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+// 20250131T235900Z
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines.
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Fold a content line into chunks of at most 75 octets, continuation lines starting
+// with a space. Multi-byte characters are never split.
+function foldLine(line) {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "7 days", "6 hours", "1 hour"
+function describeLeadTime(hours) {
+  if (hours >= 24 && hours % 24 === 0) return `${hours / 24} day${hours === 24 ? '' : 's'}`;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function toDate(iso) {
+  if (!iso) return null;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Stable per deal: the same deal always gets the same UID.
+export function dealEventUid(deal) {
+  return `${encodeURIComponent(String(deal.id))}@${UID_DOMAIN}`;
+}
+
+function describeDeal(deal) {
+  const lines = [];
+  if (deal.url) lines.push(deal.url);
+  if (deal.expiryNeedsReview) {
+    lines.push(`The deadline was guessed from "${deal.expiryText || deal.expiryDate}"; check it on the deal page.`);
+  }
+  if (deal.notes) lines.push('', deal.notes);
+  return lines.join('\n');
+}
+
+function buildEvent(deal, expiry, alarmHours, now) {
+  const updated = toDate(deal.dateUpdated) || toDate(deal.dateSaved) || now;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${dealEventUid(deal)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `LAST-MODIFIED:${formatDateTime(updated)}`,
+    // Seconds since the epoch only ever grow, so a newer export always wins.
+    `SEQUENCE:${Math.max(0, Math.floor(updated.getTime() / 1000))}`,
+    `DTSTART:${formatDateTime(expiry)}`,
+    `DTEND:${formatDateTime(expiry)}`,
+    `SUMMARY:${escapeText(`Deal ends: ${deal.title || deal.url || deal.id}`)}`,
+    `DESCRIPTION:${escapeText(describeDeal(deal))}`,
+    // A guessed deadline is shown as tentative.
+    `STATUS:${deal.expiryNeedsReview ? 'TENTATIVE' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+  ];
+  if (deal.url) lines.push(`URL:${deal.url}`);
+  if (Array.isArray(deal.tags) && deal.tags.length > 0) {
+    lines.push(`CATEGORIES:${deal.tags.map(escapeText).join(',')}`);
+  }
+  for (const hours of alarmHours) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${Math.round(hours * 60)}M`,
+      `DESCRIPTION:${escapeText(`${deal.title || 'Deal'} ends in ${describeLeadTime(hours)}`)}`,
+      'END:VALARM',
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Build the calendar. `alarmHoursFor(deal)` returns the reminder stages (hours
+// before expiry) to add as alarms; deals with muted reminders get none.
+// Returns { ics, eventCount }. Deals that aren't watched or have no valid expiry
+// are left out.
+export function generateIcs(deals, { alarmHoursFor = () => [], now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${CALENDAR_NAME}`,
+  ];
+  let eventCount = 0;
+  const ordered = [...deals].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  for (const deal of ordered) {
+    const expiry = toDate(deal.expiryDate);
+    if (deal.status !== DEAL_STATUSES.watching || !expiry) continue;
+    const alarmHours = deal.reminders && deal.reminders.muted ? [] : alarmHoursFor(deal);
+    lines.push(...buildEvent(deal, expiry, alarmHours, now));
+    eventCount += 1;
+  }
+  lines.push('END:VCALENDAR');
+  return { ics: `${lines.map(foldLine).join('\r\n')}\r\n`, eventCount };
+}
@@ -0,0 +1,159 @@
+// Listing matcher: decides whether a live listing is the same product as a missed deal.
+//
+// Titles are normalised first (marketing suffixes, version numbers and punctuation
+// removed), then compared two ways: shared words, which copes with reordering and
+// extra words, and edit distance, which copes with small spelling changes. The
+// product slug and vendor name add or remove confidence. Every score comes with an
+// explanation so a surprising match (or miss) can be understood from the alert.
+
+// Marketing phrases that say nothing about which product a listing is.
+const NOISE_PHRASES = [
+  /\blifetime (deal|access|subscription|plan)s?\b/g,
+  /\b(appsumo|plus) exclusive\b/g,
+  /\bexclusive\b/g,
+  /\bltd\b/g,
+  /\bappsumo\b/g,
+  /\bon sale\b/g,
+];
+// "v2", "v2.1", "2.0", "version 3"
+const VERSION_PATTERN = /\b(v\d+(\.\d+)*|\d+\.\d+(\.\d+)*|version \d+)\b/g;
+// Separators between a product name and its tagline: "Name - Tagline", "Name | Tagline",
+// "Name: Tagline".
+const TAGLINE_SEPARATOR = /\s+[-–—|]\s+|\s*:\s+/;
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'by', 'with', 'to', 'in', 'your']);
+
+// Weights of the title comparisons, and of title vs slug when both have slugs.
+const TOKEN_WEIGHT = 0.55;
+const EDIT_WEIGHT = 0.45;
+const SLUG_WEIGHT = 0.3;
+// Same vendor lifts the score; a different vendor is strong evidence against a match.
+const SAME_VENDOR_BONUS = 0.1;
+const DIFFERENT_VENDOR_FACTOR = 0.7;
+
+function simplify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Diacritics
+    .toLowerCase();
+}
+
+// Normalised title: { name, tokens }. name is the product name without its tagline,
+// tokens its distinct words. Taglines are left out because they often mention other
+// products ("NotionForms - Forms for Notion").
+export function normalizeTitle(title) {
+  const clean = (text) => {
+    let result = text;
+    for (const pattern of NOISE_PHRASES) result = result.replace(pattern, ' ');
+    return result.replace(VERSION_PATTERN, ' ').replace(/[^a-z0-9]+/g, ' ').replace(/\s+/g, ' ').trim();
+  };
+  // The first part that is more than marketing noise ("AppSumo exclusive: Name").
+  const name = simplify(title).split(TAGLINE_SEPARATOR).map(clean).find(Boolean) || '';
+  return {
+    name,
+    tokens: [...new Set(name.split(' ').filter((token) => token && !STOP_WORDS.has(token)))],
+  };
+}
+
+// Product slug without a trailing version ("acme-crm-2" -> "acme crm").
+function normalizeSlug(slug) {
+  if (!slug) return null;
+  return simplify(slug).replace(/-(v?\d+)$/, '').replace(/-/g, ' ').trim() || null;
+}
+
+function normalizeVendor(vendor) {
+  if (!vendor) return null;
+  return simplify(vendor).replace(/\b(inc|llc|ltd|gmbh|co|corp|limited)\b/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim() || null;
+}
+
+export function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common.
+function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshteinDistance(a, b) / longest;
+}
+
+// Dice coefficient over word sets.
+function tokenSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const shared = tokensA.filter((token) => tokensB.includes(token)).length;
+  return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Compare a saved deal with a live listing. Both have { title, slug?, vendor? }.
+// Returns { score (0-1), isMatch, explanation, components }.
+export function matchListing(deal, listing, threshold = 0.8) {
+  const a = normalizeTitle(deal.title);
+  const b = normalizeTitle(listing.title);
+  const reasons = [];
+
+  const sharedCount = a.tokens.filter((token) => b.tokens.includes(token)).length;
+  const tokenScore = tokenSimilarity(a.tokens, b.tokens);
+  const editScore = editSimilarity(a.name, b.name);
+  let titleScore = TOKEN_WEIGHT * tokenScore + EDIT_WEIGHT * editScore;
+  if (a.name && a.name === b.name) {
+    titleScore = Math.max(titleScore, 0.95);
+    reasons.push(`same product name "${a.name}"`);
+  } else {
+    reasons.push(`titles "${a.name}" and "${b.name}" share ${sharedCount} of ${Math.max(a.tokens.length, b.tokens.length)} words, edit similarity ${round(editScore)}`);
+  }
+
+  let score = titleScore;
+  const slugA = normalizeSlug(deal.slug);
+  const slugB = normalizeSlug(listing.slug);
+  let slugScore = null;
+  if (slugA && slugB) {
+    slugScore = editSimilarity(slugA, slugB);
+    score = (1 - SLUG_WEIGHT) * titleScore + SLUG_WEIGHT * slugScore;
+    reasons.push(slugA === slugB ? `same URL slug "${slugA}"` : `URL slugs "${slugA}" and "${slugB}" (similarity ${round(slugScore)})`);
+  }
+
+  const vendorA = normalizeVendor(deal.vendor);
+  const vendorB = normalizeVendor(listing.vendor);
+  let sameVendor = null;
+  if (vendorA && vendorB) {
+    sameVendor = vendorA === vendorB;
+    score = sameVendor ? Math.min(1, score + SAME_VENDOR_BONUS) : score * DIFFERENT_VENDOR_FACTOR;
+    reasons.push(sameVendor ? `same vendor "${vendorA}"` : `different vendors "${vendorA}" and "${vendorB}"`);
+  }
+
+  score = round(score);
+  const isMatch = score >= threshold;
+  reasons.push(`score ${score} ${isMatch ? 'meets' : 'is below'} threshold ${threshold}`);
+  return {
+    score,
+    isMatch,
+    explanation: reasons.join('; '),
+    components: { tokens: round(tokenScore), edit: round(editScore), title: round(titleScore), slug: slugScore === null ? null : round(slugScore), sameVendor },
+  };
+}
+
+// The best-scoring listing that meets the threshold, as { listing, match }, or null.
+export function findBestListingMatch(deal, listings, threshold = 0.8) {
+  if (!deal.title) return null;
+  let best = null;
+  for (const listing of listings) {
+    if (!listing || !listing.title) continue;
+    const match = matchListing(deal, listing, threshold);
+    if (match.isMatch && (!best || match.score > best.match.score)) {
+      best = { listing, match };
+    }
+  }
+  return best;
+}
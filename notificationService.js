@@ -0,0 +1,349 @@
+// Notification service for the SumoSignal background worker.
+//
+// Wraps chrome.notifications: builds the alert text for each kind of alert, adds
+// action buttons, and remembers which deal every notification belongs to so clicks
+// and button presses can be acted on after the service worker has been restarted.
+// Alerts raised during a check run can be batched into one list notification.
+// Deal alerts only show if the deal's channels include 'desktop' (see
+// setChannelResolver); other channels, such as 'webhook', get the alert through the
+// handler registered for them (see setChannelHandler).
+
+const STORAGE_KEY = 'sumosignal_notification_targets';
+// Only the most recent notification targets are kept.
+const MAX_NOTIFICATION_TARGETS = 200;
+// chrome.notifications list notifications show at most a handful of items.
+const MAX_LIST_ITEMS = 5;
+const ICON_PATH = 'icons/icon128.png';
+
+// Actions a notification button can trigger. The background worker carries them out.
+export const NOTIFICATION_ACTIONS = {
+  openDeal: 'openDeal',
+  snooze: 'snooze',
+  markPurchased: 'markPurchased',
+  stopWatching: 'stopWatching',
+  saveToWatchlist: 'saveToWatchlist',
+};
+
+const BUTTON_LABELS = {
+  [NOTIFICATION_ACTIONS.openDeal]: 'Open deal',
+  [NOTIFICATION_ACTIONS.snooze]: 'Snooze 24h',
+  [NOTIFICATION_ACTIONS.markPurchased]: 'Mark purchased',
+  [NOTIFICATION_ACTIONS.stopWatching]: 'Stop watching',
+  [NOTIFICATION_ACTIONS.saveToWatchlist]: 'Save to watchlist',
+};
+
+// Buttons per alert kind. Chrome shows at most two buttons per notification.
+const BUTTONS_BY_KIND = {
+  expiryWarning: [NOTIFICATION_ACTIONS.snooze, NOTIFICATION_ACTIONS.markPurchased],
+  expiryChange: [NOTIFICATION_ACTIONS.openDeal, NOTIFICATION_ACTIONS.stopWatching],
+  restock: [NOTIFICATION_ACTIONS.openDeal, NOTIFICATION_ACTIONS.stopWatching],
+  priceDrop: [NOTIFICATION_ACTIONS.openDeal, NOTIFICATION_ACTIONS.markPurchased],
+  tierChange: [NOTIFICATION_ACTIONS.openDeal, NOTIFICATION_ACTIONS.markPurchased],
+  // Rule matches aren't saved deals yet; their dealId is the match key.
+  ruleMatch: [NOTIFICATION_ACTIONS.saveToWatchlist, NOTIFICATION_ACTIONS.openDeal],
+};
+
+// Unique suffix for one-off notification IDs; Date.now() alone repeats within a millisecond.
+let notificationSequence = 0;
+function uniqueNotificationId(prefix) {
+  notificationSequence += 1;
+  return `${prefix}-${Date.now()}-${notificationSequence}`;
+}
+
+function formatPrice(amount, currency) {
+  if (amount === null || amount === undefined) return 'an unknown price';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+  } catch (error) {
+    return `${currency || '$'}${amount}`; // Unknown currency code
+  }
+}
+
+function formatTimeLeft(hours) {
+  if (hours >= 48) return `${Math.round(hours / 24)} days`;
+  if (hours >= 1.5) return `${Math.round(hours)} hours`;
+  const minutes = Math.max(1, Math.round(hours * 60));
+  return minutes >= 60 ? '1 hour' : `${minutes} minutes`;
+}
+
+function formatDate(iso) {
+  if (!iso) return 'an unknown date';
+  return new Date(iso).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export class NotificationService {
+  constructor(storageArea = chrome.storage.local, notifications = chrome.notifications) {
+    this.storageArea = storageArea;
+    this.notifications = notifications;
+    this._lock = Promise.resolve();
+    this._batchDepth = 0;
+    this._batch = [];
+    this._resolveChannels = null;
+    this._channelHandlers = {};
+  }
+
+  // resolver(deal) returns the channels the deal's alerts go to, e.g. ['desktop'].
+  // Without a resolver every alert is shown.
+  setChannelResolver(resolver) {
+    this._resolveChannels = resolver;
+  }
+
+  // handler(alert) delivers alerts for a channel other than 'desktop'. alert is
+  // { kind, deal, dealUrl, title, message, details }; details is the event the alert
+  // was raised for (the reminder, restock, pricing alert, ...). Handlers see every
+  // alert as it is raised, batching only applies to desktop notifications.
+  setChannelHandler(channel, handler) {
+    this._channelHandlers[channel] = handler;
+  }
+
+  // Run fn exclusively, as StorageManager does, so concurrent alerts don't drop
+  // each other's notification targets.
+  _withLock(fn) {
+    const run = this._lock.then(fn, fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  async _readTargets() {
+    const stored = await this.storageArea.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+  }
+
+  _rememberTarget(notificationId, target) {
+    return this._withLock(async () => {
+      const targets = await this._readTargets();
+      targets[notificationId] = { ...target, createdAt: new Date().toISOString() };
+      const ids = Object.keys(targets);
+      if (ids.length > MAX_NOTIFICATION_TARGETS) {
+        ids.sort((a, b) => targets[a].createdAt.localeCompare(targets[b].createdAt))
+          .slice(0, ids.length - MAX_NOTIFICATION_TARGETS)
+          .forEach((id) => delete targets[id]);
+      }
+      await this.storageArea.set({ [STORAGE_KEY]: targets });
+    });
+  }
+
+  // What a notification was about: { kind, dealId, dealIds, dealUrl, actions, createdAt },
+  // or null if it isn't one of ours (or has been forgotten).
+  async getNotificationTarget(notificationId) {
+    const targets = await this._readTargets();
+    return targets[notificationId] || null;
+  }
+
+  async getDealUrlFromNotificationId(notificationId) {
+    const target = await this.getNotificationTarget(notificationId);
+    return target ? target.dealUrl || null : null;
+  }
+
+  // Map a button press to { action, dealId, dealUrl }, or null for unknown buttons.
+  async resolveButtonAction(notificationId, buttonIndex) {
+    const target = await this.getNotificationTarget(notificationId);
+    if (!target || !Array.isArray(target.actions) || !target.actions[buttonIndex]) return null;
+    return { action: target.actions[buttonIndex], dealId: target.dealId, dealUrl: target.dealUrl };
+  }
+
+  forgetNotification(notificationId) {
+    return this._withLock(async () => {
+      const targets = await this._readTargets();
+      if (!(notificationId in targets)) return;
+      delete targets[notificationId];
+      await this.storageArea.set({ [STORAGE_KEY]: targets });
+    });
+  }
+
+  // --- Batching ---
+  // Alerts raised between startBatch() and flushBatch() are shown together. Calls
+  // nest, so overlapping check runs share one batch that is shown when the last ends.
+
+  startBatch() {
+    this._batchDepth += 1;
+  }
+
+  async flushBatch() {
+    this._batchDepth = Math.max(0, this._batchDepth - 1);
+    if (this._batchDepth > 0) return;
+    const alerts = this._batch;
+    this._batch = [];
+    if (alerts.length === 0) return;
+    if (alerts.length === 1) {
+      await this._showAlert(alerts[0]);
+      return;
+    }
+
+    const notificationId = uniqueNotificationId('sumosignal-batch');
+    const items = alerts.slice(0, MAX_LIST_ITEMS).map((alert) => ({ title: alert.deal.title || 'Deal', message: alert.summary }));
+    const more = alerts.length - items.length;
+    await this._create(notificationId, {
+      type: 'list',
+      title: `SumoSignal: ${alerts.length} deal alerts`,
+      message: more > 0 ? `And ${more} more.` : 'Open SumoSignal to review them.',
+      items,
+      priority: 1,
+    });
+    await this._rememberTarget(notificationId, {
+      kind: 'batch',
+      dealId: null,
+      dealIds: [...new Set(alerts.map((alert) => alert.deal.id))],
+      dealUrl: null,
+      actions: [],
+    });
+  }
+
+  // --- Alerts ---
+
+  showSaveConfirmation(dealTitle) {
+    return this._create(uniqueNotificationId('sumosignal-saved'), {
+      type: 'basic',
+      title: 'Deal saved',
+      message: `"${dealTitle}" is on your SumoSignal watchlist.`,
+      priority: 0,
+    });
+  }
+
+  showBulkSaveConfirmation(savedCount) {
+    return this._create(uniqueNotificationId('sumosignal-saved'), {
+      type: 'basic',
+      title: 'Deals saved',
+      message: `${savedCount} deal${savedCount === 1 ? '' : 's'} added to your SumoSignal watchlist.`,
+      priority: 0,
+    });
+  }
+
+  // reminder is { stageHours, hoursLeft } from the expiry reminder stages.
+  showExpiryWarning(deal, reminder = {}) {
+    const hoursLeft = Number.isFinite(reminder.hoursLeft)
+      ? reminder.hoursLeft
+      : (new Date(deal.expiryDate).getTime() - Date.now()) / (60 * 60 * 1000);
+    const timeLeft = Number.isFinite(hoursLeft) ? formatTimeLeft(hoursLeft) : 'soon';
+    return this._queueAlert({
+      kind: 'expiryWarning',
+      deal,
+      title: `Deal ending: ${deal.title}`,
+      message: `Ends in ${timeLeft} (${formatDate(deal.expiryDate)}).`,
+      summary: `Ends in ${timeLeft}`,
+      details: { expiryDate: deal.expiryDate, hoursLeft, stageHours: reminder.stageHours ?? null },
+    });
+  }
+
+  // event is { type: 'extended' | 'shortened' | 'last_call', from, to, revived }.
+  showExpiryChangeAlert(deal, event) {
+    let title;
+    let message;
+    if (event.type === 'last_call') {
+      title = `Last call: ${deal.title}`;
+      message = `AppSumo marked this deal as last call. It ends ${formatDate(event.to)}.`;
+    } else if (event.type === 'extended') {
+      title = `Deal extended: ${deal.title}`;
+      message = `Now ends ${formatDate(event.to)} (was ${formatDate(event.from)}).` +
+        (event.revived ? ' It is back on your watchlist.' : '');
+    } else {
+      title = `Deal ending sooner: ${deal.title}`;
+      message = `Now ends ${formatDate(event.to)} (was ${formatDate(event.from)}).`;
+    }
+    return this._queueAlert({ kind: 'expiryChange', deal, title, message, summary: title.split(':')[0], details: event });
+  }
+
+  // restock carries the restock details: restockType, notes, and for a similar new
+  // listing its title, url and match (see matchListing in listingMatcher.js), whose
+  // explanation is shown so the user can judge the match.
+  showRestockAlert(deal, restock = {}) {
+    const similar = restock.restockType === 'similar_new_listing';
+    return this._queueAlert({
+      kind: 'restock',
+      deal,
+      dealUrl: similar ? restock.url : deal.url,
+      title: similar ? `Similar deal available: ${restock.title}` : `Deal is back: ${deal.title}`,
+      message: restock.notes || `"${deal.title}" appears to be available again.`,
+      contextMessage: similar && restock.match ? `Matched: ${restock.match.explanation}` : null,
+      summary: similar ? `Similar deal: ${restock.title}` : 'Available again',
+      details: restock,
+    });
+  }
+
+  // alert is the priceDrop alert from evaluatePricingAlert (dealPricing.js).
+  showPriceDropAlert(deal, alert) {
+    const price = formatPrice(alert.price, alert.currency);
+    return this._queueAlert({
+      kind: 'priceDrop',
+      deal,
+      title: `Price drop: ${deal.title}`,
+      message: `Now ${price}, at or below your target of ${formatPrice(alert.targetPrice, alert.currency)}.` +
+        (alert.previousPrice !== null && alert.previousPrice !== undefined ? ` Was ${formatPrice(alert.previousPrice, alert.currency)}.` : ''),
+      summary: `Now ${price}`,
+      details: alert,
+    });
+  }
+
+  // alert is a newTier or tierSoldOut alert from evaluatePricingAlert (dealPricing.js).
+  showTierChangeAlert(deal, alert) {
+    const tiers = alert.tiers.join(', ');
+    const isNew = alert.type === 'newTier';
+    return this._queueAlert({
+      kind: 'tierChange',
+      deal,
+      title: isNew ? `New tier: ${deal.title}` : `Tier sold out: ${deal.title}`,
+      message: isNew ? `New tier${alert.tiers.length > 1 ? 's' : ''} available: ${tiers}.` : `Sold out: ${tiers}.`,
+      summary: isNew ? `New: ${tiers}` : `Sold out: ${tiers}`,
+      details: alert,
+    });
+  }
+
+  // match is a stored watch rule match (see recordWatchRuleMatches in storageManager.js);
+  // ruleNames are the names of the rules it matched.
+  showRuleMatchAlert(match, ruleNames = []) {
+    const details = [match.price !== null && match.price !== undefined ? formatPrice(match.price, match.currency) : null, match.category]
+      .filter(Boolean).join(', ');
+    return this._queueAlert({
+      kind: 'ruleMatch',
+      deal: { id: match.key, title: match.title, url: match.url },
+      title: `New deal: ${match.title}`,
+      message: `Matches your watch rule${ruleNames.length > 1 ? 's' : ''} ${ruleNames.map((name) => `"${name}"`).join(', ')}.` +
+        (details ? ` ${details}.` : ''),
+      summary: 'Matches a watch rule',
+      details: { match, ruleNames },
+    });
+  }
+
+  // --- Internals ---
+
+  _queueAlert(alert) {
+    const channels = this._resolveChannels ? this._resolveChannels(alert.deal) : ['desktop'];
+    const deliveries = channels
+      .filter((channel) => this._channelHandlers[channel])
+      .map((channel) => Promise.resolve()
+        .then(() => this._channelHandlers[channel](alert))
+        .catch((error) => console.error(`Could not send ${alert.kind} alert for deal ${alert.deal.id} to ${channel}:`, error)));
+    if (!channels.includes('desktop')) {
+      return Promise.all(deliveries); // The user turned off desktop alerts for this deal
+    }
+    if (this._batchDepth > 0) {
+      this._batch.push(alert);
+      return Promise.all(deliveries);
+    }
+    return Promise.all([this._showAlert(alert), ...deliveries]);
+  }
+
+  async _showAlert({ kind, deal, dealUrl, title, message, contextMessage }) {
+    // Stable per deal and kind, so a newer alert replaces an older one of the same kind.
+    const notificationId = `sumosignal-${kind}-${deal.id}`;
+    const actions = BUTTONS_BY_KIND[kind] || [];
+    await this._create(notificationId, {
+      type: 'basic',
+      title,
+      message,
+      ...(contextMessage ? { contextMessage } : {}),
+      ...(actions.length > 0 ? { buttons: actions.map((action) => ({ title: BUTTON_LABELS[action] })) } : {}),
+      priority: 2,
+    });
+    await this._rememberTarget(notificationId, { kind, dealId: deal.id, dealIds: [deal.id], dealUrl: dealUrl || deal.url, actions });
+  }
+
+  async _create(notificationId, options) {
+    try {
+      await this.notifications.create(notificationId, { iconUrl: chrome.runtime.getURL(ICON_PATH), ...options });
+    } catch (error) {
+      console.error(`Could not show notification ${notificationId}:`, error);
+    }
+    return notificationId;
+  }
+}
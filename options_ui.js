@@ -0,0 +1,368 @@
+// SumoSignal options page.
+//
+// The form is generated from SETTINGS_SCHEMA (settingsSchema.js): one control per
+// visible setting, grouped by section. Input is checked against the schema before
+// it is sent, and the background worker checks it again on saveSettings; either way
+// each field shows its own error message and nothing is stored until all are valid.
+// Below the form: restock source health and the background activity log (see
+// activityLog.js), with a diagnostics download for bug reports.
+
+import { SETTINGS_SCHEMA, SETTINGS_SECTIONS, validateSetting } from './settingsSchema.js';
+import { getSourceOrigins } from './restockSources.js';
+
+const form = document.getElementById('settings-form');
+const statusLine = document.getElementById('status');
+// key -> { field, container, error, read(), write(value) }
+const controls = {};
+
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(response || { success: false, message: 'No response from the background worker.' });
+    });
+  });
+}
+
+function showStatus(message, failed = false) {
+  statusLine.textContent = message;
+  statusLine.classList.toggle('failed', failed);
+}
+
+// --- Controls ---
+// Each builder returns { element, read, write }. read() returns the value to
+// validate and may throw if the input can't even be parsed.
+
+function numberControl(field, id) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = id;
+  input.min = field.min;
+  input.max = field.max;
+  input.step = field.type === 'integer' ? '1' : 'any';
+  return {
+    element: input,
+    read: () => (input.value.trim() === '' ? null : Number(input.value)),
+    write: (value) => { input.value = value ?? ''; },
+  };
+}
+
+function enumControl(field, id) {
+  const select = document.createElement('select');
+  select.id = id;
+  for (const option of field.options) select.add(new Option(option, option));
+  return {
+    element: select,
+    read: () => select.value,
+    write: (value) => { select.value = value; },
+  };
+}
+
+function choiceListControl(field) {
+  const wrapper = document.createElement('div');
+  const boxes = field.options.map((option) => {
+    const label = document.createElement('label');
+    label.classList.add('choice');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = option;
+    label.append(box, option);
+    wrapper.appendChild(label);
+    return box;
+  });
+  return {
+    element: wrapper,
+    read: () => boxes.filter((box) => box.checked).map((box) => box.value),
+    write: (value) => boxes.forEach((box) => { box.checked = Array.isArray(value) && value.includes(box.value); }),
+  };
+}
+
+function numberListControl(field, id) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = id;
+  input.placeholder = field.default.join(', ');
+  return {
+    element: input,
+    read: () => input.value.split(/[,\s]+/).filter(Boolean).map((part) => {
+      const number = Number(part);
+      if (!Number.isFinite(number)) throw new Error(`"${part}" is not a number.`);
+      return number;
+    }),
+    write: (value) => { input.value = Array.isArray(value) ? value.join(', ') : ''; },
+  };
+}
+
+function textControl(field, id) {
+  const input = document.createElement('input');
+  input.type = field.secret ? 'password' : field.type === 'url' ? 'url' : 'text';
+  input.id = id;
+  input.autocomplete = 'off';
+  return {
+    element: input,
+    read: () => (input.value.trim() === '' && field.nullable ? null : input.value),
+    write: (value) => { input.value = value ?? ''; },
+  };
+}
+
+function jsonControl(field, id) {
+  const textarea = document.createElement('textarea');
+  textarea.id = id;
+  textarea.spellcheck = false;
+  return {
+    element: textarea,
+    read: () => {
+      if (textarea.value.trim() === '') return null;
+      try {
+        return JSON.parse(textarea.value);
+      } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+      }
+    },
+    write: (value) => { textarea.value = value === null || value === undefined ? '' : JSON.stringify(value, null, 2); },
+  };
+}
+
+function buildControl(field, id) {
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      return numberControl(field, id);
+    case 'enum':
+      return enumControl(field, id);
+    case 'list':
+      return field.itemType === 'enum' ? choiceListControl(field) : numberListControl(field, id);
+    case 'json':
+      return jsonControl(field, id);
+    default:
+      return textControl(field, id);
+  }
+}
+
+function renderForm() {
+  const sections = document.getElementById('sections');
+  for (const section of SETTINGS_SECTIONS) {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = section.title;
+    fieldset.appendChild(legend);
+
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      if (field.section !== section.id || field.hidden) continue;
+      const id = `setting-${key}`;
+      const container = document.createElement('div');
+      container.classList.add('setting');
+      const control = buildControl(field, id);
+      // Checkbox groups have no single input to point a label at.
+      const label = document.createElement(control.element.id ? 'label' : 'span');
+      label.textContent = field.label;
+      if (control.element.id) label.htmlFor = id;
+      else label.classList.add('setting-label');
+      const help = document.createElement('p');
+      help.classList.add('help');
+      help.textContent = field.description || '';
+      const error = document.createElement('p');
+      error.classList.add('error');
+      error.setAttribute('aria-live', 'polite');
+      container.append(label, control.element, help, error);
+      fieldset.appendChild(container);
+      controls[key] = { field, container, error, ...control };
+    }
+    if (fieldset.children.length > 1) sections.appendChild(fieldset);
+  }
+}
+
+function showFieldError(key, message) {
+  const control = controls[key];
+  if (!control) return;
+  control.error.textContent = message || '';
+  control.container.classList.toggle('invalid', Boolean(message));
+}
+
+function fillForm(values, errors = {}) {
+  for (const [key, control] of Object.entries(controls)) {
+    control.write(values[key]);
+    showFieldError(key, errors[key] ? `The stored value is invalid and is not being used: ${errors[key]}` : '');
+  }
+}
+
+// Read and validate every control. Returns { values, errors }.
+function readForm() {
+  const values = {};
+  const errors = {};
+  for (const [key, control] of Object.entries(controls)) {
+    try {
+      values[key] = validateSetting(key, control.read());
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  }
+  return { values, errors };
+}
+
+// --- Permissions ---
+
+// The webhook and custom restock sources live on other sites, which the background
+// worker may only contact once their origins are granted. Must run in the click
+// handler: Chrome only shows the prompt for a user gesture.
+async function requestHostPermissions(values) {
+  const origins = getSourceOrigins(Array.isArray(values.restockSources) ? values.restockSources : []);
+  if (values.webhookUrl) {
+    const url = new URL(values.webhookUrl);
+    origins.push(`${url.protocol}//${url.hostname}/*`);
+  }
+  if (origins.length === 0) return true;
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// --- Actions ---
+
+async function loadSettings() {
+  const response = await sendMessage({ action: 'getSettings' });
+  if (!response.success) {
+    showStatus(`Could not load settings: ${response.message}`, true);
+    return;
+  }
+  fillForm(response.data.values, response.data.errors);
+}
+
+async function saveSettings(event) {
+  event.preventDefault();
+  const { values, errors } = readForm();
+  Object.keys(controls).forEach((key) => showFieldError(key, errors[key]));
+  if (Object.keys(errors).length > 0) {
+    showStatus('Fix the highlighted settings first.', true);
+    controls[Object.keys(errors)[0]].container.scrollIntoView({ block: 'center' });
+    return;
+  }
+  let granted = true;
+  try {
+    granted = await requestHostPermissions(values);
+  } catch (error) {
+    console.warn('SumoSignal: Could not request host permissions:', error);
+    granted = false;
+  }
+
+  showStatus('Saving...');
+  const response = await sendMessage({ action: 'saveSettings', settings: values });
+  if (!response.success) {
+    const fieldErrors = (response.data && response.data.errors) || {};
+    Object.entries(fieldErrors).forEach(([key, message]) => showFieldError(key, message));
+    showStatus(response.message, true);
+    return;
+  }
+  fillForm(response.data.values);
+  showStatus(granted ? 'Settings saved.' : 'Settings saved, but SumoSignal may not contact the webhook or restock sources until you allow it.', !granted);
+}
+
+async function resetSettings() {
+  if (!confirm('Restore every setting to its default?')) return;
+  const response = await sendMessage({ action: 'saveSettings', settings: {}, replace: true });
+  if (!response.success) {
+    showStatus(response.message, true);
+    return;
+  }
+  fillForm(response.data.values);
+  showStatus('Defaults restored.');
+}
+
+async function testWebhook() {
+  showStatus('Sending test webhook...');
+  const response = await sendMessage({ action: 'testWebhook' });
+  showStatus(response.success ? response.message : `Test failed: ${response.message}`, !response.success);
+}
+
+async function renderSourceHealth() {
+  const container = document.getElementById('source-health');
+  const response = await sendMessage({ action: 'getRestockSourceHealth' });
+  const entries = response.success ? Object.values(response.data || {}) : [];
+  container.textContent = '';
+  if (entries.length === 0) {
+    container.textContent = response.success ? 'No restock check has run yet.' : `Could not load source health: ${response.message}`;
+    return;
+  }
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  ['Source', 'Status', 'Listings', 'Checked', 'Error'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  });
+  const body = table.createTBody();
+  for (const health of entries) {
+    const row = body.insertRow();
+    const cells = [
+      health.sourceId,
+      health.status + (health.notModified ? ' (not modified)' : ''),
+      health.listingCount ?? '',
+      health.checkedAt ? new Date(health.checkedAt).toLocaleString() : '',
+      health.error || '',
+    ];
+    cells.forEach((text) => { row.insertCell().textContent = String(text); });
+    row.cells[1].classList.add(health.status === 'error' ? 'health-error' : 'health-ok');
+  }
+  container.appendChild(table);
+}
+
+// Newest entries shown in the activity table; the download has the whole log.
+const ACTIVITY_ROWS = 200;
+
+async function renderActivityLog() {
+  const container = document.getElementById('activity-log');
+  const level = document.getElementById('activity-level').value || null;
+  const response = await sendMessage({ action: 'getDiagnostics', options: { level, limit: ACTIVITY_ROWS } });
+  container.textContent = '';
+  const entries = response.success ? response.data.activity : [];
+  if (entries.length === 0) {
+    container.textContent = response.success ? 'Nothing logged yet.' : `Could not load the activity log: ${response.message}`;
+    return;
+  }
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  ['Time', 'Check', 'Deal', 'Event', 'Details'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  });
+  const body = table.createTBody();
+  for (const entry of entries) {
+    const row = body.insertRow();
+    const data = entry.data || {};
+    const cells = [
+      new Date(entry.at).toLocaleString(),
+      entry.runKind || '',
+      entry.dealTitle || entry.dealId || '',
+      data.decision || entry.type,
+      entry.message || '',
+    ];
+    cells.forEach((text) => { row.insertCell().textContent = String(text); });
+    if (entry.level !== 'info') row.classList.add(`level-${entry.level}`);
+  }
+  container.appendChild(table);
+}
+
+async function downloadDiagnostics() {
+  const response = await sendMessage({ action: 'exportDiagnostics' });
+  showStatus(response.message, !response.success);
+}
+
+async function clearActivityLog() {
+  if (!confirm('Clear the activity log?')) return;
+  const response = await sendMessage({ action: 'clearActivityLog' });
+  showStatus(response.message, !response.success);
+  await renderActivityLog();
+}
+
+renderForm();
+form.addEventListener('submit', saveSettings);
+document.getElementById('reset').addEventListener('click', resetSettings);
+document.getElementById('test-webhook').addEventListener('click', testWebhook);
+loadSettings().catch((error) => showStatus(`Could not load settings: ${error.message}`, true));
+renderSourceHealth().catch((error) => console.warn('SumoSignal: Could not load restock source health:', error));
+const showActivityLog = () => renderActivityLog().catch((error) => console.warn('SumoSignal: Could not load the activity log:', error));
+document.getElementById('activity-level').addEventListener('change', showActivityLog);
+document.getElementById('activity-refresh').addEventListener('click', showActivityLog);
+document.getElementById('activity-download').addEventListener('click', downloadDiagnostics);
+document.getElementById('activity-clear').addEventListener('click', clearActivityLog);
+showActivityLog();
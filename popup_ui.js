@@ -0,0 +1,311 @@
+// SumoSignal popup: the watchlist at a glance.
+//
+// Deals are grouped by how urgent they are (expiring today, this week, later), with
+// missed deals and recent restocks in their own groups, and each card has a live
+// countdown and quick actions: open, edit notes, mark missed, delete. Everything
+// goes through the background worker's message actions; the list redraws whenever
+// the stored deals change.
+
+const DEALS_STORAGE_KEY = 'sumosignal_deals';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A restock stays in the Restocked group for this long.
+const RESTOCK_WINDOW_MS = 7 * DAY_MS;
+// Countdowns under this are highlighted.
+const URGENT_MS = 6 * 60 * 60 * 1000;
+// A second click within this time confirms a delete.
+const DELETE_CONFIRM_MS = 4000;
+
+const GROUPS = [
+  { id: 'restocked', title: 'Restocked' },
+  { id: 'today', title: 'Expiring today' },
+  { id: 'week', title: 'This week' },
+  { id: 'later', title: 'Later' },
+  { id: 'missed', title: 'Missed' },
+];
+
+const groupsContainer = document.getElementById('groups');
+const statusLine = document.getElementById('status');
+// Cards whose notes are being edited are left alone when the list redraws.
+const editingDealIds = new Set();
+
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(response || { success: false, message: 'No response from the background worker.' });
+    });
+  });
+}
+
+function showStatus(message, failed = false) {
+  statusLine.textContent = message;
+  statusLine.classList.toggle('failed', failed);
+}
+
+function expiryTime(deal) {
+  const time = deal.expiryDate ? new Date(deal.expiryDate).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// The group a deal belongs in, or null for deals the popup doesn't show
+// (purchased, ignored, archived).
+function groupFor(deal, now) {
+  const restockedAt = deal.lastRestock ? new Date(deal.lastRestock.detectedAt).getTime() : NaN;
+  if (deal.status === 'watching' && now - restockedAt <= RESTOCK_WINDOW_MS) return 'restocked';
+  if (deal.status === 'missed') return 'missed';
+  if (deal.status !== 'watching') return null;
+  const expiry = expiryTime(deal);
+  if (expiry === null) return 'later';
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+  if (expiry <= endOfToday.getTime()) return 'today';
+  if (expiry - now <= 7 * DAY_MS) return 'week';
+  return 'later';
+}
+
+// Soonest expiry first; deals without one last, by title.
+function compareDeals(a, b) {
+  const expiryA = expiryTime(a);
+  const expiryB = expiryTime(b);
+  if (expiryA !== expiryB) {
+    if (expiryA === null) return 1;
+    if (expiryB === null) return -1;
+    return expiryA - expiryB;
+  }
+  return String(a.title || '').localeCompare(String(b.title || ''));
+}
+
+// "2d 04:13:09", "04:13:09", or "Ended".
+function formatCountdown(msLeft) {
+  if (msLeft <= 0) return 'Ended';
+  const totalSeconds = Math.floor(msLeft / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const clock = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map((part) => String(part).padStart(2, '0')).join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+function updateCountdowns() {
+  const now = Date.now();
+  for (const element of document.querySelectorAll('.countdown[data-expiry]')) {
+    const msLeft = Number(element.dataset.expiry) - now;
+    element.textContent = formatCountdown(msLeft);
+    element.classList.toggle('urgent', msLeft > 0 && msLeft <= URGENT_MS);
+  }
+}
+
+// --- Actions ---
+
+async function runAction(message, successText) {
+  try {
+    const response = await sendMessage(message);
+    showStatus(response.success ? successText || response.message : response.message, !response.success);
+    return response.success;
+  } catch (error) {
+    showStatus(error.message, true);
+    return false;
+  }
+}
+
+function openDeal(deal) {
+  chrome.tabs.create({ url: deal.url });
+}
+
+function button(text, onClick, className) {
+  const element = document.createElement('button');
+  element.type = 'button';
+  element.textContent = text;
+  if (className) element.classList.add(className);
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+function renderNotes(deal, card) {
+  const preview = document.createElement('div');
+  preview.classList.add('notes-preview');
+  preview.textContent = deal.notes || '';
+  preview.hidden = !deal.notes;
+
+  const editor = document.createElement('div');
+  editor.classList.add('deal-notes');
+  editor.hidden = true;
+  const textarea = document.createElement('textarea');
+  textarea.setAttribute('aria-label', `Notes for ${deal.title}`);
+  textarea.value = deal.notes || '';
+  const status = document.createElement('span');
+  status.classList.add('notes-status');
+  status.textContent = 'Ctrl+Enter or click away to save, Esc to cancel.';
+  editor.append(textarea, status);
+
+  const close = () => {
+    editor.hidden = true;
+    preview.hidden = !preview.textContent;
+    editingDealIds.delete(deal.id);
+    loadDeals(); // Catch up on changes skipped while editing
+  };
+  const save = async () => {
+    if (editor.hidden) return;
+    if (textarea.value === (deal.notes || '')) {
+      close();
+      return;
+    }
+    status.textContent = 'Saving...';
+    const notes = textarea.value;
+    if (await runAction({ action: 'updateDealNotes', dealId: deal.id, notes }, 'Notes saved.')) {
+      deal.notes = notes;
+      preview.textContent = notes;
+      close();
+    } else {
+      status.textContent = 'Not saved. Try again.';
+    }
+  };
+  textarea.addEventListener('blur', save);
+  textarea.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      save();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      textarea.value = deal.notes || '';
+      close();
+    }
+  });
+
+  const toggle = () => {
+    editingDealIds.add(deal.id);
+    editor.hidden = false;
+    preview.hidden = true;
+    textarea.focus();
+  };
+  card.append(preview, editor);
+  return toggle;
+}
+
+function renderDeal(deal) {
+  const card = document.createElement('article');
+  card.classList.add('deal');
+  card.dataset.dealId = deal.id;
+
+  const title = document.createElement('a');
+  title.classList.add('deal-title');
+  title.href = deal.url;
+  title.textContent = deal.title || deal.url;
+  title.title = deal.title || deal.url;
+  title.addEventListener('click', (event) => {
+    event.preventDefault();
+    openDeal(deal);
+  });
+
+  const meta = document.createElement('div');
+  meta.classList.add('deal-meta');
+  const addMeta = (text) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    meta.appendChild(span);
+    return span;
+  };
+  const expiry = expiryTime(deal);
+  if (expiry !== null && deal.status === 'watching') {
+    const countdown = addMeta('');
+    countdown.classList.add('countdown');
+    countdown.dataset.expiry = String(expiry);
+    countdown.title = `Ends ${new Date(expiry).toLocaleString()}` + (deal.expiryNeedsReview ? ' (guessed, please check)' : '');
+    if (deal.expiryNeedsReview) addMeta('Check expiry');
+  } else if (deal.status === 'missed' && expiry !== null) {
+    addMeta(`Ended ${new Date(expiry).toLocaleDateString()}`);
+  } else if (deal.status === 'watching') {
+    addMeta('No expiry date');
+  }
+  if (deal.lastRestock && deal.status === 'watching') {
+    addMeta(`Back since ${new Date(deal.lastRestock.detectedAt).toLocaleDateString()}`);
+  }
+  if (typeof deal.price === 'number') {
+    addMeta(`${deal.currency && deal.currency !== 'USD' ? `${deal.currency} ` : '$'}${deal.price}`);
+  }
+
+  const actions = document.createElement('div');
+  actions.classList.add('deal-actions');
+  card.append(title, meta, actions);
+  const editNotes = renderNotes(deal, card);
+
+  actions.appendChild(button('Open', () => openDeal(deal)));
+  actions.appendChild(button(deal.notes ? 'Edit notes' : 'Add notes', editNotes));
+  if (deal.status === 'watching') {
+    actions.appendChild(button('Mark missed', () => runAction({ action: 'markAsMissed', dealId: deal.id })));
+  }
+  let confirmTimer = null;
+  const remove = button('Delete', async () => {
+    if (!confirmTimer) {
+      remove.textContent = 'Confirm delete';
+      confirmTimer = setTimeout(() => {
+        confirmTimer = null;
+        remove.textContent = 'Delete';
+      }, DELETE_CONFIRM_MS);
+      return;
+    }
+    clearTimeout(confirmTimer);
+    confirmTimer = null;
+    editingDealIds.delete(deal.id);
+    await runAction({ action: 'deleteDeal', dealId: deal.id }, `Deleted "${deal.title}".`);
+  }, 'danger');
+  actions.appendChild(remove);
+  return card;
+}
+
+// --- Rendering ---
+
+function render(deals) {
+  const now = Date.now();
+  const grouped = Object.fromEntries(GROUPS.map(({ id }) => [id, []]));
+  for (const deal of deals) {
+    const group = groupFor(deal, now);
+    if (group) grouped[group].push(deal);
+  }
+
+  const shown = GROUPS.reduce((count, { id }) => count + grouped[id].length, 0);
+  document.getElementById('summary').textContent = `${shown} deal${shown === 1 ? '' : 's'}` +
+    (grouped.today.length > 0 ? `, ${grouped.today.length} ending today` : '');
+
+  groupsContainer.textContent = '';
+  if (shown === 0) {
+    const empty = document.createElement('p');
+    empty.classList.add('empty');
+    empty.textContent = 'No deals yet. Use "Save to SumoSignal" on AppSumo to start watching one.';
+    groupsContainer.appendChild(empty);
+    return;
+  }
+  for (const { id, title } of GROUPS) {
+    if (grouped[id].length === 0) continue;
+    const section = document.createElement('section');
+    section.dataset.group = id;
+    const heading = document.createElement('h2');
+    heading.textContent = `${title} (${grouped[id].length})`;
+    section.appendChild(heading);
+    grouped[id].sort(compareDeals).forEach((deal) => section.appendChild(renderDeal(deal)));
+    groupsContainer.appendChild(section);
+  }
+  updateCountdowns();
+}
+
+async function loadDeals() {
+  // Don't pull the textarea out from under someone typing; the list catches up
+  // once they are done.
+  if (editingDealIds.size > 0) return;
+  try {
+    const response = await sendMessage({ action: 'getAllDeals' });
+    if (!response.success) {
+      showStatus(`Could not load deals: ${response.message}`, true);
+      return;
+    }
+    render(response.data || []);
+  } catch (error) {
+    showStatus(`Could not load deals: ${error.message}`, true);
+  }
+}
+
+document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[DEALS_STORAGE_KEY]) loadDeals();
+});
+setInterval(updateCountdowns, 1000);
+loadDeals();
@@ -0,0 +1,318 @@
+// Restock sources: where the background worker looks for deals that are live on AppSumo.
+//
+// Each configured source has a type that picks an adapter. Adapters fetch their
+// source and return listings in one normalised shape:
+//   { title, url, canonicalUrl, slug, price, currency, vendor, category, sourceId }
+// fetchRestockListings runs every enabled source and reports a health record per
+// source, so a broken feed or a changed page layout shows up on the options page
+// instead of silently producing no restock alerts. Sources that send an ETag or
+// Last-Modified header are fetched conditionally next time, and an unchanged source
+// reuses the listings from the cache instead of being downloaded and parsed again.
+
+import { canonicalizeDealUrl, extractProductSlug } from './dealIdentity.js';
+import { decodeHtmlEntities, htmlToText, extractJsonLd } from './dealPageParser.js';
+import { FetchQueue } from './fetchQueue.js';
+
+export const RESTOCK_SOURCE_TYPES = {
+  appsumoHtml: 'appsumoHtml', // AppSumo browse / collection pages
+  feed: 'feed', // RSS 2.0 or Atom feed
+  json: 'json', // User-supplied JSON endpoint with a field mapping
+  fixture: 'fixture', // JSON file bundled with the extension, for testing
+};
+
+export const DEFAULT_RESTOCK_SOURCES = [
+  { id: 'appsumo-browse', type: RESTOCK_SOURCE_TYPES.appsumoHtml, url: 'https://appsumo.com/browse/', enabled: true },
+];
+
+// Field mapping used by JSON sources that don't specify their own. Paths are
+// dot-separated, e.g. 'data.items' or 'pricing.current'.
+export const DEFAULT_JSON_FIELD_MAPPING = {
+  itemsPath: 'deals',
+  title: 'title',
+  url: 'url',
+  price: 'price',
+  currency: 'currency',
+  vendor: 'vendor',
+  category: 'category',
+};
+
+const SOURCE_FETCH_TIMEOUT_MS = 20 * 1000;
+
+// Fetcher used when the caller doesn't pass one: plain fetches, no queueing or
+// retries, only the per-request timeout.
+const directFetches = new FetchQueue({ concurrency: Infinity, perHostIntervalMs: 0, maxRetries: 0 });
+const directFetch = (url, options, queueOptions) => directFetches.fetch(url, options, queueOptions);
+
+// --- Normalisation ---
+
+function readPath(value, path) {
+  if (!path) return value;
+  return String(path).split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  return decodeHtmlEntities(String(value).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// One listing in the shared shape, or null if it has no usable title and URL.
+export function normalizeListing(raw, source) {
+  const title = cleanText(raw.title);
+  let url = null;
+  try {
+    // Relative links resolve against the source page; fixture paths aren't a base.
+    const base = /^https?:\/\//i.test(source.url || '') ? source.url : undefined;
+    url = raw.url ? new URL(String(raw.url).trim(), base).toString() : null;
+  } catch (error) {
+    url = null;
+  }
+  if (!title || !url) return null;
+  return {
+    title,
+    url,
+    canonicalUrl: canonicalizeDealUrl(url),
+    slug: extractProductSlug(url),
+    price: toPrice(raw.price),
+    currency: raw.currency ? String(raw.currency) : null,
+    vendor: raw.vendor ? cleanText(raw.vendor) : null,
+    category: raw.category ? cleanText(raw.category) : null,
+    sourceId: source.id,
+  };
+}
+
+// --- Adapters ---
+// Each adapter takes (source, body) and returns raw listings ({ title, url, price, ... }).
+
+// AppSumo browse/collection pages: JSON-LD ItemList entries if the page has them,
+// otherwise every product link with its text.
+function parseAppSumoHtml(source, html) {
+  const listings = [];
+  for (const item of extractJsonLd(html)) {
+    const elements = Array.isArray(item.itemListElement) ? item.itemListElement : [];
+    for (const element of elements) {
+      const product = element.item && typeof element.item === 'object' ? element.item : element;
+      const offers = product.offers ? [].concat(product.offers)[0] : null;
+      listings.push({
+        title: product.name,
+        url: product.url || (typeof element.item === 'string' ? element.item : null),
+        price: offers ? offers.price ?? offers.lowPrice : null,
+        currency: offers ? offers.priceCurrency : null,
+        vendor: product.brand && (product.brand.name || product.brand),
+        category: product.category,
+      });
+    }
+  }
+  if (listings.length > 0) return listings;
+
+  const linkPattern = /<a\b([^>]*\bhref\s*=\s*["']([^"']*\/products\/[^"']+)["'][^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = linkPattern.exec(html)) !== null) {
+    const label = match[1].match(/\b(?:aria-label|title)\s*=\s*["']([^"']+)["']/i);
+    const text = htmlToText(match[3]);
+    listings.push({ title: label ? label[1] : text, url: decodeHtmlEntities(match[2]) });
+  }
+  return listings;
+}
+
+// RSS 2.0 <item> and Atom <entry> elements.
+function parseFeed(source, xml) {
+  const listings = [];
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, 'i'));
+    return match ? match[1] : null;
+  };
+  const entryPattern = /<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = entryPattern.exec(xml)) !== null) {
+    const block = match[2];
+    // Atom links carry the URL in href; RSS links as text.
+    const atomLink = block.match(/<link\b[^>]*\bhref\s*=\s*["']([^"']+)["'][^>]*\/?>/i);
+    listings.push({
+      title: tag(block, 'title'),
+      url: atomLink ? decodeHtmlEntities(atomLink[1]) : cleanText(tag(block, 'link')),
+      vendor: tag(block, 'dc:creator') || tag(block, 'author'),
+      category: tag(block, 'category'),
+    });
+  }
+  if (listings.length === 0 && !/<(rss|feed|rdf:RDF)\b/i.test(xml)) {
+    throw new Error('Response is not an RSS or Atom feed.');
+  }
+  return listings;
+}
+
+// JSON endpoints: source.fieldMapping says where the list and each field live.
+function parseJsonListings(source, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+  const mapping = { ...DEFAULT_JSON_FIELD_MAPPING, ...(source.fieldMapping || {}) };
+  const items = Array.isArray(data) ? data : readPath(data, mapping.itemsPath);
+  if (!Array.isArray(items)) {
+    throw new Error(`No list found at "${mapping.itemsPath}" in the response.`);
+  }
+  return items.map((item) => ({
+    title: readPath(item, mapping.title),
+    url: readPath(item, mapping.url),
+    price: readPath(item, mapping.price),
+    currency: readPath(item, mapping.currency),
+    vendor: readPath(item, mapping.vendor),
+    category: readPath(item, mapping.category),
+  }));
+}
+
+const ADAPTERS = {
+  [RESTOCK_SOURCE_TYPES.appsumoHtml]: { parse: parseAppSumoHtml, accept: 'text/html' },
+  [RESTOCK_SOURCE_TYPES.feed]: { parse: parseFeed, accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+  [RESTOCK_SOURCE_TYPES.json]: { parse: parseJsonListings, accept: 'application/json' },
+  // Fixtures are JSON in the same shape as a JSON source; the path is resolved
+  // inside the extension package.
+  [RESTOCK_SOURCE_TYPES.fixture]: { parse: parseJsonListings, accept: 'application/json', local: true },
+};
+
+// --- Configuration ---
+
+// The sources to use for a config. Older configs only had restockApiEndpoint, a
+// JSON API returning { deals: [...] }; it becomes a JSON source.
+export function getRestockSources(config) {
+  if (Array.isArray(config.restockSources)) return config.restockSources;
+  if (config.restockApiEndpoint) {
+    return [{ id: 'legacy-endpoint', type: RESTOCK_SOURCE_TYPES.json, url: config.restockApiEndpoint, enabled: true }];
+  }
+  return DEFAULT_RESTOCK_SOURCES;
+}
+
+// Throws if a source definition can't be used.
+export function validateRestockSource(source) {
+  if (!source || typeof source !== 'object') throw new Error('Restock source must be an object.');
+  if (!source.id || typeof source.id !== 'string') throw new Error('Restock source needs an id.');
+  if (!ADAPTERS[source.type]) throw new Error(`Restock source ${source.id} has unknown type "${source.type}".`);
+  if (!source.url || typeof source.url !== 'string') throw new Error(`Restock source ${source.id} needs a url.`);
+  if (source.fieldMapping !== undefined && (typeof source.fieldMapping !== 'object' || source.fieldMapping === null)) {
+    throw new Error(`Restock source ${source.id} has an invalid field mapping.`);
+  }
+}
+
+// Host permission patterns the enabled sources need beyond AppSumo itself, which
+// the manifest already grants. Custom feed and JSON sources are optional host
+// permissions: the options page requests these when the sources are saved.
+export function getSourceOrigins(sources) {
+  const origins = new Set();
+  for (const source of sources || []) {
+    if (!source || source.enabled === false || source.type === RESTOCK_SOURCE_TYPES.fixture) continue;
+    let url;
+    try {
+      url = new URL(source.url);
+    } catch (error) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || /(^|\.)appsumo\.com$/i.test(url.hostname)) continue;
+    origins.add(`${url.protocol}//${url.hostname}/*`);
+  }
+  return [...origins];
+}
+
+// --- Fetching ---
+
+// Fetch a source's body. `cached` is the source's cache entry ({ etag, lastModified, ... })
+// or null; with one the request is conditional. `fetcher` is called as
+// (url, options, { timeoutMs }) like FetchQueue.fetch, so the timeout starts when the
+// request is sent rather than while it waits in a queue. Returns { notModified, body,
+// etag, lastModified }.
+async function fetchSourceBody(source, adapter, cached, fetcher) {
+  const url = adapter.local ? chrome.runtime.getURL(source.url.replace(/^\/+/, '')) : source.url;
+  const headers = { Accept: adapter.accept };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  try {
+    const response = await fetcher(url, { method: 'GET', headers, cache: 'no-store' }, { timeoutMs: SOURCE_FETCH_TIMEOUT_MS });
+    const header = (name) => (response.headers && response.headers.get ? response.headers.get(name) : null);
+    if (response.status === 304 && cached) {
+      return { notModified: true, body: null, etag: header('ETag') || cached.etag || null, lastModified: header('Last-Modified') || cached.lastModified || null };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+    return { notModified: false, body: await response.text(), etag: header('ETag'), lastModified: header('Last-Modified') };
+  } catch (error) {
+    // TimeoutError: no response in time. AbortError: the body was still arriving.
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    throw new Error(timedOut ? `Timed out after ${SOURCE_FETCH_TIMEOUT_MS / 1000}s` : error.message);
+  }
+}
+
+// Fetch one source. Returns { listings, health, cacheEntry }; never throws.
+// health is { sourceId, type, status ('ok' | 'empty' | 'error' | 'disabled'),
+// checkedAt, listingCount, skippedCount, notModified, error }.
+// `cached` is the cacheEntry from the previous fetch of this source, if any; the
+// returned cacheEntry ({ url, etag, lastModified, listings, skippedCount, fetchedAt })
+// is null if the fetch failed. The cached listings also serve as "the current
+// listings" between runs. `fetcher` replaces fetch, e.g. with a FetchQueue
+// (fetchQueue.js); see fetchSourceBody for how it is called.
+export async function fetchSourceListings(source, { cached = null, fetcher = directFetch } = {}) {
+  const checkedAt = new Date().toISOString();
+  const health = { sourceId: source.id, type: source.type, checkedAt, listingCount: 0, skippedCount: 0, notModified: false, error: null };
+  if (source.enabled === false) {
+    return { listings: [], health: { ...health, status: 'disabled' }, cacheEntry: null };
+  }
+  try {
+    validateRestockSource(source);
+    const adapter = ADAPTERS[source.type];
+    // A cache entry for a different URL (the source was edited) is not valid.
+    const usable = cached && cached.url === source.url && Array.isArray(cached.listings) ? cached : null;
+    const fetched = await fetchSourceBody(source, adapter, usable, fetcher);
+    const cacheFields = { url: source.url, etag: fetched.etag, lastModified: fetched.lastModified, fetchedAt: checkedAt };
+    if (fetched.notModified) {
+      return {
+        listings: usable.listings,
+        health: { ...health, status: usable.listings.length > 0 ? 'ok' : 'empty', listingCount: usable.listings.length, skippedCount: usable.skippedCount || 0, notModified: true },
+        cacheEntry: { ...usable, ...cacheFields },
+      };
+    }
+    const raw = adapter.parse(source, fetched.body);
+
+    // Normalise and drop duplicates (listing pages link each product several times).
+    const seen = new Set();
+    const listings = [];
+    for (const item of raw) {
+      const listing = item ? normalizeListing(item, source) : null;
+      const key = listing && (listing.canonicalUrl || listing.url);
+      if (!listing || seen.has(key)) continue;
+      seen.add(key);
+      listings.push(listing);
+    }
+    const skippedCount = raw.filter(Boolean).length - listings.length;
+    return {
+      listings,
+      health: { ...health, status: listings.length > 0 ? 'ok' : 'empty', listingCount: listings.length, skippedCount },
+      cacheEntry: { ...cacheFields, listings, skippedCount },
+    };
+  } catch (error) {
+    return { listings: [], health: { ...health, status: 'error', error: error.message }, cacheEntry: null };
+  }
+}
+
+// Fetch every source in turn. `cache` holds the previous cacheEntry per source ID.
+// Returns { listings, health: [per-source health], cache: { sourceId: cacheEntry } }.
+// A failed source keeps its old cache entry, so it can still answer 304 next time.
+export async function fetchRestockListings(sources, { cache = {}, fetcher } = {}) {
+  const listings = [];
+  const health = [];
+  const nextCache = {};
+  for (const source of sources) {
+    const result = await fetchSourceListings(source, { cached: cache[source.id] || null, fetcher });
+    listings.push(...result.listings);
+    health.push(result.health);
+    const entry = result.health.status === 'error' ? cache[source.id] : result.cacheEntry;
+    if (entry) nextCache[source.id] = entry;
+  }
+  return { listings, health, cache: nextCache };
+}
@@ -0,0 +1,203 @@
+// Selector profiles for the SumoSignal content script.
+//
+// AppSumo's markup changes every few months. Instead of one hard-coded selector per
+// field, each profile lists an ordered fallback chain per field, and profiles are
+// versioned so the chains of older layouts stay available as a last resort. The
+// options page can supply an override profile whose selectors are tried first.
+//
+// Loaded as a content script before appSumoDealCapture.js, so everything here is a
+// plain top-level declaration shared through the content script's global scope.
+
+// Newest profile first. When AppSumo ships a new layout, add a profile at the top
+// rather than editing an old one, and bump its version.
+const SELECTOR_PROFILES = [
+  {
+    id: 'appsumo-2024',
+    version: 2,
+    fields: {
+      // Overall deal containers on listing and product pages
+      dealIdentifier: ['[data-testid="deal-card"]', '[data-testid="product-card"]', 'article:has(a[href*="/products/"])'],
+      // Title text within a deal element
+      titleInDeal: ['[data-testid="deal-title"]', '[data-testid="product-title"]', 'h1', 'h2', 'h3'],
+      // The deal's own product link within a card
+      productLink: ['a[data-testid="deal-link"]', 'a[href*="/products/"]'],
+      // Expiry / "ends in" text
+      expiryDate: ['[data-testid="deal-expiry"]', 'time[datetime]'],
+      // Ticking "ends in" widgets (see countdownWatcher.js)
+      countdown: ['[data-testid="countdown"]', '[role="timer"]', '[data-countdown]', '[class*="countdown" i]'],
+      // Pricing and social proof
+      currentPrice: ['[data-testid="deal-price"]', '[data-testid="price"]', '[itemprop="price"]'],
+      originalPrice: ['[data-testid="original-price"]', 's', 'del'],
+      discount: ['[data-testid="discount"]'],
+      tierOption: ['[data-testid="plan-option"]', '[data-testid="tier-option"]'],
+      tierRange: ['[data-testid="tier-range"]'],
+      reviewCount: ['[data-testid="review-count"]', '[itemprop="reviewCount"]'],
+      rating: ['[data-testid="rating"]', '[itemprop="ratingValue"]', '[aria-label*="out of 5"]'],
+      category: ['[data-testid="category"]', '[itemprop="category"]'],
+      // Where to insert the Save button, relative to a title/header
+      buttonAnchor: ['[data-testid="deal-title"]', '[data-testid="product-title"]', 'h1', 'h2', 'h3', 'h4'],
+    },
+  },
+  {
+    // The original placeholder selectors from the first release.
+    id: 'legacy-placeholders',
+    version: 1,
+    fields: {
+      dealIdentifier: ['.appsumo-product-title-selector', '.appsumo-deal-card-selector'],
+      titleInDeal: ['.title-selector'],
+      productLink: ['a[href*="/products/"]'],
+      expiryDate: ['.deal-expiry-date-selector'],
+      countdown: ['.deal-countdown-selector'],
+      currentPrice: ['.deal-price-selector'],
+      originalPrice: ['.deal-original-price-selector'],
+      discount: ['.deal-discount-selector'],
+      tierOption: ['.deal-tier-selector'],
+      tierRange: ['.deal-tier-range-selector'],
+      reviewCount: ['.deal-review-count-selector'],
+      rating: ['.deal-rating-selector'],
+      category: ['.deal-category-selector'],
+      buttonAnchor: ['.title-selector', 'h1', 'h2', 'h3', 'h4'],
+    },
+  },
+];
+
+// Fields whose total failure means the page layout is no longer understood, and is
+// worth a "selectors broken" diagnostic. Other fields are legitimately missing on
+// some pages (e.g. listing cards have no tier options).
+const DIAGNOSED_SELECTOR_FIELDS = ['dealIdentifier', 'titleInDeal', 'currentPrice'];
+
+function toSelectorList(value) {
+  if (Array.isArray(value)) return value.filter((s) => typeof s === 'string' && s.trim());
+  if (typeof value === 'string' && value.trim()) return [value];
+  return [];
+}
+
+// Build the effective profile: override selectors first, then every built-in
+// profile from newest to oldest, without duplicates.
+// `override` is { id?, version?, fields: { fieldName: string | string[] } } or null.
+function buildSelectorProfile(override) {
+  const newest = SELECTOR_PROFILES[0];
+  const hasOverride = override && typeof override === 'object' && override.fields && typeof override.fields === 'object';
+  const fieldNames = new Set(SELECTOR_PROFILES.flatMap((profile) => Object.keys(profile.fields)));
+  if (hasOverride) Object.keys(override.fields).forEach((name) => fieldNames.add(name));
+
+  const fields = {};
+  for (const name of fieldNames) {
+    const chain = [
+      ...(hasOverride ? toSelectorList(override.fields[name]) : []),
+      ...SELECTOR_PROFILES.flatMap((profile) => toSelectorList(profile.fields[name])),
+    ];
+    fields[name] = [...new Set(chain)];
+  }
+
+  return {
+    id: hasOverride && override.id ? `${override.id}+${newest.id}` : newest.id,
+    version: hasOverride && Number.isFinite(override.version) ? override.version : newest.version,
+    fields,
+  };
+}
+
+// querySelector that treats selectors the browser can't parse (e.g. a typo in an
+// override) as "no match" instead of throwing.
+function safeQuery(root, selector, all) {
+  try {
+    return all ? root.querySelectorAll(selector) : root.querySelector(selector);
+  } catch (error) {
+    console.warn(`SumoSignal: Invalid selector "${selector}" skipped.`);
+    return all ? [] : null;
+  }
+}
+
+// First element matching the field's chain, or null.
+function queryField(root, profile, field) {
+  for (const selector of profile.fields[field] || []) {
+    const element = safeQuery(root, selector, false);
+    if (element) return element;
+  }
+  return null;
+}
+
+// All elements matching the first selector in the chain that matches anything.
+function queryAllField(root, profile, field) {
+  for (const selector of profile.fields[field] || []) {
+    const elements = safeQuery(root, selector, true);
+    if (elements.length > 0) return Array.from(elements);
+  }
+  return [];
+}
+
+function matchesField(element, profile, field) {
+  return (profile.fields[field] || []).some((selector) => {
+    try {
+      return element.matches(selector);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// --- Structured data heuristics ---
+// Product pages describe themselves through JSON-LD, OpenGraph and microdata. These
+// describe the whole page, so they only apply to the page's main deal element.
+
+function readJsonLdProduct(doc) {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const parsed = JSON.parse(script.textContent);
+      const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+        const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+        if (types.includes('Product')) return item;
+      }
+    } catch (error) {
+      // Ignore malformed JSON-LD
+    }
+  }
+  return null;
+}
+
+function readMeta(doc, property) {
+  const element = doc.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+  return element && element.content ? element.content.trim() : null;
+}
+
+function readMicrodata(doc, itemprop) {
+  const element = doc.querySelector(`[itemscope][itemtype*="Product"] [itemprop="${itemprop}"]`);
+  if (!element) return null;
+  return (element.getAttribute('content') || element.textContent || '').trim() || null;
+}
+
+// Page-level deal data from structured markup. Each value records which strategy
+// produced it, e.g. { title: { value, source: 'json-ld' } }.
+function readStructuredDealData(doc) {
+  const product = readJsonLdProduct(doc);
+  const offers = product && product.offers ? [].concat(product.offers) : [];
+  const firstOffer = offers[0] || {};
+  const rating = (product && product.aggregateRating) || {};
+
+  const pick = (...candidates) => {
+    for (const [value, source] of candidates) {
+      if (value !== undefined && value !== null && value !== '') return { value: String(value), source };
+    }
+    return null;
+  };
+
+  return {
+    title: pick([product && product.name, 'json-ld'], [readMeta(doc, 'og:title'), 'opengraph'], [readMicrodata(doc, 'name'), 'microdata']),
+    url: pick([product && product.url, 'json-ld'], [readMeta(doc, 'og:url'), 'opengraph']),
+    price: pick([firstOffer.price ?? firstOffer.lowPrice, 'json-ld'], [readMeta(doc, 'product:price:amount'), 'opengraph'], [readMicrodata(doc, 'price'), 'microdata']),
+    currency: pick([firstOffer.priceCurrency, 'json-ld'], [readMeta(doc, 'product:price:currency'), 'opengraph'], [readMicrodata(doc, 'priceCurrency'), 'microdata']),
+    expiry: pick([firstOffer.priceValidUntil, 'json-ld'], [readMicrodata(doc, 'priceValidUntil'), 'microdata']),
+    rating: pick([rating.ratingValue, 'json-ld'], [readMicrodata(doc, 'ratingValue'), 'microdata']),
+    reviewCount: pick([rating.reviewCount ?? rating.ratingCount, 'json-ld'], [readMicrodata(doc, 'reviewCount'), 'microdata']),
+    category: pick([typeof (product && product.category) === 'string' ? product.category : null, 'json-ld'], [readMicrodata(doc, 'category'), 'microdata']),
+  };
+}
+
+// True if the page itself is a single product page with structured product data.
+function hasStructuredProduct(doc) {
+  return Boolean(readJsonLdProduct(doc) || readMeta(doc, 'og:type') === 'product' || doc.querySelector('[itemscope][itemtype*="Product"]'));
+}
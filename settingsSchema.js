@@ -0,0 +1,271 @@
+// Settings schema: every user-configurable setting with its type, range, default
+// and help text.
+//
+// The background worker builds its default configuration from it and validates
+// stored settings before using them, and the options page (options_ui.js) generates
+// its form from it and checks input before saving. Field types:
+//   integer, number: { min, max }
+//   enum:            { options }
+//   list:            { itemType: 'number' | 'enum', options, min, max, minItems, maxItems }
+//   string, url:     { maxLength }; url must be http(s)
+//   json:            an object or array, checked by the field's `check` function
+// `nullable` fields accept null ("not set"). `hidden` fields are validated but not
+// shown on the options page.
+
+import { NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS } from './dealPreferences.js';
+import { WEBHOOK_FORMATS } from './webhookService.js';
+import { validateRestockSource } from './restockSources.js';
+
+export const SETTINGS_SECTIONS = [
+  { id: 'schedule', title: 'Check schedule' },
+  { id: 'alerts', title: 'Alerts' },
+  { id: 'webhook', title: 'Webhook' },
+  { id: 'advanced', title: 'Advanced' },
+];
+
+const MAX_RESTOCK_SOURCES = 20;
+
+// Periods are in minutes, 15 at the least, so no check hits AppSumo more often than that.
+const checkPeriod = (label, defaultValue, min, description) => ({
+  section: 'schedule',
+  type: 'integer',
+  label,
+  description,
+  default: defaultValue,
+  min,
+  max: 7 * 24 * 60,
+});
+
+export const SETTINGS_SCHEMA = {
+  expiryCheckPeriodInMinutes: checkPeriod('Expiry check interval (minutes)', 60, 15,
+    'How often saved deals are checked for approaching deadlines.'),
+  restockCheckPeriodInMinutes: checkPeriod('Restock check interval (minutes)', 240, 15,
+    'How often missed deals are looked for in the restock sources.'),
+  priceDropCheckPeriodInMinutes: checkPeriod('Price drop check interval (minutes)', 180, 15,
+    'How often watched deals are compared with their target price.'),
+  newTierCheckPeriodInMinutes: checkPeriod('New tier check interval (minutes)', 360, 15,
+    'How often deal pages are checked for newly added tiers.'),
+  tierSoldOutCheckPeriodInMinutes: checkPeriod('Sold-out tier check interval (minutes)', 120, 15,
+    'How often deal pages are checked for sold-out tiers.'),
+  expiryWarningLeadTimeHours: {
+    section: 'alerts',
+    type: 'number',
+    label: 'Expiry warning lead time (hours)',
+    description: 'Reminders start this long before a deal ends. High and low priority deals use their own lead time.',
+    default: 48,
+    min: 1,
+    max: 60 * 24,
+  },
+  expiryReminderStagesHours: {
+    section: 'alerts',
+    type: 'list',
+    itemType: 'number',
+    label: 'Reminder stages (hours before expiry)',
+    description: 'One reminder at each of these points, e.g. 168, 48, 6, 1, after the first one at the lead time. Stages beyond the lead time are skipped.',
+    default: [168, 48, 6, 1],
+    min: 0.25,
+    max: 60 * 24,
+    minItems: 1,
+    maxItems: 10,
+  },
+  similarityThreshold: {
+    section: 'alerts',
+    type: 'number',
+    label: 'Similar listing threshold',
+    description: 'Minimum match score (0.05 to 1) for a new listing to count as a restock of a missed deal.',
+    default: 0.8,
+    min: 0.05,
+    max: 1,
+  },
+  notificationChannels: {
+    section: 'alerts',
+    type: 'list',
+    itemType: 'enum',
+    options: NOTIFICATION_CHANNELS,
+    label: 'Alert channels',
+    description: 'Where alerts go, unless a deal has its own channels.',
+    default: DEFAULT_NOTIFICATION_CHANNELS,
+    minItems: 0,
+    maxItems: NOTIFICATION_CHANNELS.length,
+  },
+  webhookUrl: {
+    section: 'webhook',
+    type: 'url',
+    nullable: true,
+    label: 'Webhook URL',
+    description: 'Alerts on the webhook channel are POSTed here. Leave empty to turn the webhook off. SumoSignal asks for access to this site when you save.',
+    default: null,
+    maxLength: 2000,
+  },
+  webhookFormat: {
+    section: 'webhook',
+    type: 'enum',
+    options: WEBHOOK_FORMATS,
+    label: 'Webhook format',
+    description: 'json sends the full event; slack and discord send a chat message.',
+    default: 'json',
+  },
+  webhookSecret: {
+    section: 'webhook',
+    type: 'string',
+    nullable: true,
+    secret: true,
+    label: 'Webhook signing secret',
+    description: 'When set, requests carry an X-SumoSignal-Signature HMAC-SHA256 header.',
+    default: null,
+    maxLength: 256,
+  },
+  restockSources: {
+    section: 'advanced',
+    type: 'json',
+    nullable: true,
+    label: 'Restock sources',
+    description: 'JSON list of { id, type, url, enabled, fieldMapping }. Leave empty for the AppSumo browse page. SumoSignal asks for access to each source\'s site when you save.',
+    default: null,
+    check: (sources) => {
+      if (!Array.isArray(sources)) throw new Error('Must be a list of sources.');
+      if (sources.length === 0 || sources.length > MAX_RESTOCK_SOURCES) {
+        throw new Error(`Must have 1 to ${MAX_RESTOCK_SOURCES} sources.`);
+      }
+      sources.forEach(validateRestockSource);
+      const ids = sources.map((source) => source.id);
+      const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+      if (duplicate) throw new Error(`Source id "${duplicate}" is used twice.`);
+    },
+  },
+  selectorProfileOverride: {
+    section: 'advanced',
+    type: 'json',
+    nullable: true,
+    label: 'Selector profile override',
+    description: 'JSON { id, version, fields: { fieldName: [selectors] } } tried before the built-in page selectors.',
+    default: null,
+    check: (profile) => {
+      if (Array.isArray(profile) || !profile.fields || typeof profile.fields !== 'object' || Array.isArray(profile.fields)) {
+        throw new Error('Must be an object with a "fields" object.');
+      }
+      for (const [field, selectors] of Object.entries(profile.fields)) {
+        if (!Array.isArray(selectors) || selectors.some((selector) => typeof selector !== 'string' || !selector.trim())) {
+          throw new Error(`fields.${field} must be a list of CSS selectors.`);
+        }
+      }
+    },
+  },
+  // Replaced by restockSources; still honoured (see getRestockSources in restockSources.js).
+  restockApiEndpoint: {
+    section: 'advanced',
+    type: 'url',
+    nullable: true,
+    hidden: true,
+    label: 'Restock API endpoint (legacy)',
+    default: null,
+    maxLength: 2000,
+  },
+};
+
+function clone(value) {
+  return value === null || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value));
+}
+
+// A fresh copy of every default.
+export function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) defaults[key] = clone(field.default);
+  return defaults;
+}
+
+function checkNumber(value, field, integer) {
+  const kind = integer ? 'a whole number' : 'a number';
+  if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) ||
+    value < field.min || value > field.max) {
+    throw new Error(`Must be ${kind} from ${field.min} to ${field.max}.`);
+  }
+  return value;
+}
+
+function checkUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    throw new Error('Must be a full URL, e.g. https://example.com/hook.');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Must start with http:// or https://.');
+}
+
+function checkEnum(value, options) {
+  if (!options.includes(value)) throw new Error(`Must be one of: ${options.join(', ')}.`);
+  return value;
+}
+
+// Check one setting. Returns the value to store (lists are de-duplicated, strings
+// trimmed); throws an Error whose message says what is wrong.
+export function validateSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) throw new Error('Unknown setting.');
+  if (value === null || value === undefined) {
+    if (field.nullable) return null;
+    throw new Error('A value is required.');
+  }
+  switch (field.type) {
+    case 'integer':
+      return checkNumber(value, field, true);
+    case 'number':
+      return checkNumber(value, field, false);
+    case 'enum':
+      return checkEnum(value, field.options);
+    case 'list': {
+      if (!Array.isArray(value)) throw new Error('Must be a list.');
+      const items = [...new Set(value.map((item) => (field.itemType === 'enum' ? checkEnum(item, field.options) : checkNumber(item, field, false))))];
+      if (items.length < field.minItems || items.length > field.maxItems) {
+        throw new Error(field.minItems === field.maxItems ? `Must have ${field.minItems} entries.` : `Must have ${field.minItems} to ${field.maxItems} entries.`);
+      }
+      return field.itemType === 'number' ? items.sort((a, b) => b - a) : items;
+    }
+    case 'string':
+    case 'url': {
+      if (typeof value !== 'string') throw new Error('Must be text.');
+      const text = value.trim();
+      if (!text) {
+        if (field.nullable) return null;
+        throw new Error('A value is required.');
+      }
+      if (text.length > field.maxLength) throw new Error(`Must be at most ${field.maxLength} characters.`);
+      if (field.type === 'url') checkUrl(text);
+      return text;
+    }
+    case 'json':
+      if (typeof value !== 'object') throw new Error('Must be a JSON object or list.');
+      field.check(value);
+      return clone(value);
+    default:
+      throw new Error(`Unsupported setting type "${field.type}".`);
+  }
+}
+
+// Check a set of settings. Returns { values, errors }: values holds every valid
+// setting, errors maps each invalid (or unknown) key to its message. An input that
+// isn't an object is reported under the key '*'.
+export function validateSettings(input) {
+  const values = {};
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors['*'] = 'Settings must be an object.';
+    return { values, errors };
+  }
+  for (const [key, value] of Object.entries(input)) {
+    try {
+      values[key] = validateSetting(key, value);
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  }
+  return { values, errors };
+}
+
+// "Webhook URL: Must start with ..." for each error, for logs and messages.
+export function describeSettingsErrors(errors) {
+  return Object.entries(errors)
+    .map(([key, message]) => `${SETTINGS_SCHEMA[key] ? SETTINGS_SCHEMA[key].label : key}: ${message}`)
+    .join(' ');
+}
@@ -0,0 +1,593 @@
+// StorageManager: persistence layer for SumoSignal, backed by chrome.storage.local.
+//
+// All deals live under a single storage key as an object keyed by deal ID. Every
+// write goes through a read-modify-write cycle that is serialised by an in-memory
+// lock, so overlapping alarm runs (e.g. expiry and restock checks firing together)
+// cannot overwrite each other's updates.
+
+import { getDealUrls } from './dealIdentity.js';
+import { pickPricing } from './dealPricing.js';
+import { transitionDeal } from './dealLifecycle.js';
+
+const STORAGE_KEYS = {
+  deals: 'sumosignal_deals',
+  settings: 'sumosignal_settings',
+  lastValidSettings: 'sumosignal_settings_last_valid',
+  schemaVersion: 'sumosignal_schema_version',
+  selectorDiagnostics: 'sumosignal_selector_diagnostics',
+  restockSourceHealth: 'sumosignal_restock_source_health',
+  restockSourceCache: 'sumosignal_restock_source_cache',
+  restockRun: 'sumosignal_restock_run',
+  watchRules: 'sumosignal_watch_rules',
+  watchRuleMatches: 'sumosignal_watch_rule_matches',
+};
+
+// Only the most recent selector diagnostics are kept.
+const MAX_SELECTOR_DIAGNOSTICS = 50;
+// Listings that matched a watch rule are remembered so each is only announced once.
+// Beyond this, the oldest are forgotten.
+const MAX_WATCH_RULE_MATCHES = 1000;
+
+// Bump this whenever the shape of a stored deal changes, and add a matching entry
+// to DEAL_MIGRATIONS below.
+export const DEAL_SCHEMA_VERSION = 6;
+
+// Migrations keyed by the schema version they upgrade a deal *to*.
+// Each migration receives a record at (version - 1) and returns it at (version).
+const DEAL_MIGRATIONS = {
+  // 0 -> 1: unversioned records from early builds. Fill in defaults for fields
+  // the background manager relies on.
+  1: (deal) => ({
+    ...deal,
+    status: deal.status || 'watching',
+    dateSaved: deal.dateSaved || new Date().toISOString(),
+    notes: typeof deal.notes === 'string' ? deal.notes : '',
+    expiryDate: deal.expiryDate || null,
+  }),
+  // 1 -> 2: deals are matched by canonical URL. IDs are left alone so existing
+  // references keep working; the original URL is kept as an alias.
+  2: (deal) => {
+    const urlAliases = getDealUrls(deal);
+    return { ...deal, url: urlAliases[0] || deal.url, urlAliases };
+  },
+  // 2 -> 3: pricing history. Any pricing already on the record becomes the first entry.
+  3: (deal) => {
+    const pricing = pickPricing(deal);
+    const pricingHistory = Object.keys(pricing).length > 0
+      ? [{ observedAt: deal.dateUpdated || deal.dateSaved, source: 'migration', ...pricing }]
+      : [];
+    return { ...deal, pricingHistory: Array.isArray(deal.pricingHistory) ? deal.pricingHistory : pricingHistory };
+  },
+  // 3 -> 4: expiry history. A known expiry becomes the first entry, so the next
+  // reading can be compared against it.
+  4: (deal) => {
+    if (Array.isArray(deal.expiryHistory)) return deal;
+    const expiryHistory = deal.expiryDate
+      ? [{
+        observedAt: deal.dateUpdated || deal.dateSaved,
+        expiryDate: deal.expiryDate,
+        previousExpiryDate: null,
+        change: 'initial',
+        source: 'migration',
+        confidence: deal.expiryConfidence || null,
+      }]
+      : [];
+    return { ...deal, expiryHistory };
+  },
+  // 4 -> 5: status history. The current status becomes the first entry.
+  5: (deal) => {
+    if (Array.isArray(deal.statusHistory)) return deal;
+    return {
+      ...deal,
+      statusHistory: [{ from: null, to: deal.status, at: deal.dateUpdated || deal.dateSaved, reason: 'migration' }],
+    };
+  },
+  // 5 -> 6: tags, priority and per-deal alert preferences (see dealPreferences.js).
+  6: (deal) => ({
+    ...deal,
+    tags: Array.isArray(deal.tags) ? deal.tags : [],
+    priority: deal.priority || 'normal',
+    alertPreferences: deal.alertPreferences || {},
+  }),
+};
+
+// True if two deal records share any canonical URL.
+function dealsShareUrl(a, b) {
+  const urlsOfA = getDealUrls(a);
+  return getDealUrls(b).some((url) => urlsOfA.includes(url));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Upgrade a single deal record to the current schema version.
+function upgradeDealRecord(deal) {
+  let version = deal.schemaVersion || 0;
+  let upgraded = deal;
+  while (version < DEAL_SCHEMA_VERSION) {
+    const migrate = DEAL_MIGRATIONS[version + 1];
+    if (migrate) {
+      upgraded = migrate(upgraded);
+    }
+    version += 1;
+  }
+  return upgraded === deal && deal.schemaVersion === DEAL_SCHEMA_VERSION
+    ? deal
+    : { ...upgraded, schemaVersion: DEAL_SCHEMA_VERSION };
+}
+
+// Merge a freshly captured deal into an existing record. Captured data (title,
+// expiry, etc.) wins, but user-owned state (status and its history, purchase
+// details, dateSaved, notes, tags, priority, alert preferences) is kept.
+function mergeDealRecords(existing, incoming) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value === undefined || value === null) continue; // Don't erase known data with blanks
+    merged[key] = value;
+  }
+  merged.id = existing.id;
+  merged.status = existing.status;
+  merged.statusHistory = existing.statusHistory;
+  merged.purchase = existing.purchase;
+  merged.dateSaved = existing.dateSaved;
+  for (const key of ['tags', 'priority', 'alertPreferences']) {
+    if (existing[key] !== undefined) merged[key] = existing[key];
+  }
+  if (existing.notes && !incoming.notes) {
+    merged.notes = existing.notes;
+  }
+  merged.urlAliases = [...new Set([...getDealUrls(existing), ...getDealUrls(incoming)])];
+  merged.dateUpdated = new Date().toISOString();
+  return merged;
+}
+
+// Fields that belong to the user rather than to the deal page. An import that
+// disagrees with the stored value is a conflict rather than an update.
+const USER_OWNED_FIELDS = ['status', 'notes', 'purchase', 'tags', 'priority', 'alertPreferences'];
+// Bookkeeping fields that never count as a change on import.
+const IMPORT_IGNORED_FIELDS = ['id', 'dateUpdated', 'schemaVersion', 'urlAliases'];
+
+// Empty tag lists and preference objects count as blank too.
+function isBlank(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return value === undefined || value === null || value === '';
+}
+
+// Merge imported deals into `deals` (mutated in place) and report what happened to
+// each: added, updated, unchanged, or conflicts (user-owned fields disagree).
+// conflictStrategy 'keepExisting' keeps the stored user-owned fields (status, notes,
+// purchase, tags, ...) on a conflict; 'useImported' takes the imported ones.
+function importDealRecords(deals, incomingDeals, conflictStrategy) {
+  const summary = { added: [], updated: [], unchanged: [], conflicts: [] };
+  const now = new Date().toISOString();
+
+  for (const incoming of incomingDeals) {
+    const existing = deals[incoming.id] ||
+      Object.values(deals).find((candidate) => dealsShareUrl(candidate, incoming));
+
+    if (!existing) {
+      const record = upgradeDealRecord({ ...incoming, dateSaved: incoming.dateSaved || now });
+      if (!Array.isArray(incoming.statusHistory)) {
+        record.statusHistory = [{ from: null, to: record.status, at: now, reason: 'import' }];
+      }
+      record.urlAliases = getDealUrls(record);
+      deals[record.id] = record;
+      summary.added.push({ id: record.id, title: record.title });
+      continue;
+    }
+
+    const changedFields = Object.keys(incoming).filter((key) =>
+      !IMPORT_IGNORED_FIELDS.includes(key) && !isBlank(incoming[key]) && !sameValue(incoming[key], existing[key]));
+    const conflictFields = changedFields.filter((key) => USER_OWNED_FIELDS.includes(key) && !isBlank(existing[key]));
+    const entry = { id: existing.id, title: existing.title, fields: changedFields, conflictFields };
+
+    if (changedFields.length === 0) {
+      summary.unchanged.push(entry);
+      continue;
+    }
+    const merged = mergeDealRecords(existing, incoming);
+    for (const key of USER_OWNED_FIELDS) {
+      if (!changedFields.includes(key)) continue;
+      // Blanks are filled in; real disagreements follow the conflict strategy.
+      const useImported = !conflictFields.includes(key) || conflictStrategy === 'useImported';
+      merged[key] = useImported ? incoming[key] : existing[key];
+    }
+    if (merged.status !== existing.status) {
+      // Restoring a backup: the imported status wins even where the lifecycle table
+      // wouldn't allow the move, and the history records that it came from an import.
+      merged.statusHistory = [...(existing.statusHistory || []), { from: existing.status, to: merged.status, at: now, reason: 'import' }];
+    }
+    deals[existing.id] = merged;
+    (conflictFields.length > 0 ? summary.conflicts : summary.updated).push(entry);
+  }
+  return summary;
+}
+
+export class StorageManager {
+  constructor(storageArea = chrome.storage.local) {
+    this.storageArea = storageArea;
+    this._lock = Promise.resolve();
+  }
+
+  // Run fn exclusively: each call waits for the previous one to settle.
+  // A failure in one task does not block the tasks queued after it.
+  _withLock(fn) {
+    const run = this._lock.then(fn, fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  async _readDeals() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.deals);
+    const raw = stored[STORAGE_KEYS.deals];
+    const deals = {};
+    if (Array.isArray(raw)) {
+      // Very early builds stored an array; key it by ID.
+      for (const deal of raw) {
+        if (deal && deal.id) deals[deal.id] = upgradeDealRecord(deal);
+      }
+    } else if (raw && typeof raw === 'object') {
+      for (const [id, deal] of Object.entries(raw)) {
+        if (deal) deals[id] = upgradeDealRecord(deal);
+      }
+    }
+    return deals;
+  }
+
+  async _writeDeals(deals) {
+    await this.storageArea.set({ [STORAGE_KEYS.deals]: deals });
+  }
+
+  // Atomically read all deals, let mutator change the map in place, and write it back.
+  // Whatever mutator returns is passed through to the caller.
+  _mutateDeals(mutator) {
+    return this._withLock(async () => {
+      const deals = await this._readDeals();
+      const result = await mutator(deals);
+      await this._writeDeals(deals);
+      return result;
+    });
+  }
+
+  // --- Settings ---
+
+  async getSettings() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.settings);
+    return stored[STORAGE_KEYS.settings] || {};
+  }
+
+  async saveSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Settings must be an object.');
+    }
+    await this._withLock(() => this.storageArea.set({ [STORAGE_KEYS.settings]: settings }));
+  }
+
+  // The settings as they were the last time they all passed validation (see
+  // settingsSchema.js). Used in place of stored values that have since gone bad.
+  async getLastValidSettings() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.lastValidSettings);
+    return stored[STORAGE_KEYS.lastValidSettings] || {};
+  }
+
+  async saveLastValidSettings(settings) {
+    const current = await this.getLastValidSettings();
+    if (JSON.stringify(current) === JSON.stringify(settings)) return; // Unchanged; skip the write
+    await this._withLock(() => this.storageArea.set({ [STORAGE_KEYS.lastValidSettings]: settings }));
+  }
+
+  // --- Diagnostics ---
+
+  // Record a "selectors broken" report from the content script (newest last).
+  recordSelectorDiagnostic(diagnostic) {
+    return this._withLock(async () => {
+      const stored = await this.storageArea.get(STORAGE_KEYS.selectorDiagnostics);
+      const diagnostics = Array.isArray(stored[STORAGE_KEYS.selectorDiagnostics]) ? stored[STORAGE_KEYS.selectorDiagnostics] : [];
+      diagnostics.push(diagnostic);
+      await this.storageArea.set({ [STORAGE_KEYS.selectorDiagnostics]: diagnostics.slice(-MAX_SELECTOR_DIAGNOSTICS) });
+    });
+  }
+
+  async getSelectorDiagnostics() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.selectorDiagnostics);
+    return Array.isArray(stored[STORAGE_KEYS.selectorDiagnostics]) ? stored[STORAGE_KEYS.selectorDiagnostics] : [];
+  }
+
+  // Store the health records from a restock run (see fetchSourceListings in
+  // restockSources.js), keyed by source ID. Each record also tracks when the source
+  // last worked and how many runs in a row it has failed.
+  recordRestockSourceHealth(healthRecords) {
+    return this._withLock(async () => {
+      const stored = await this.storageArea.get(STORAGE_KEYS.restockSourceHealth);
+      const previous = stored[STORAGE_KEYS.restockSourceHealth] || {};
+      const next = {};
+      for (const record of healthRecords) {
+        const before = previous[record.sourceId] || {};
+        const failed = record.status === 'error';
+        next[record.sourceId] = {
+          ...record,
+          lastSuccessAt: record.status === 'ok' ? record.checkedAt : before.lastSuccessAt || null,
+          consecutiveFailures: failed ? (before.consecutiveFailures || 0) + 1 : 0,
+        };
+      }
+      // Sources no longer configured are dropped.
+      await this.storageArea.set({ [STORAGE_KEYS.restockSourceHealth]: next });
+      return next;
+    });
+  }
+
+  async getRestockSourceHealth() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.restockSourceHealth);
+    return stored[STORAGE_KEYS.restockSourceHealth] || {};
+  }
+
+  // Conditional-request cache of restock source listings, keyed by source ID (see
+  // fetchRestockListings in restockSources.js).
+  async getRestockSourceCache() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.restockSourceCache);
+    return stored[STORAGE_KEYS.restockSourceCache] || {};
+  }
+
+  saveRestockSourceCache(cache) {
+    return this._withLock(() => this.storageArea.set({ [STORAGE_KEYS.restockSourceCache]: cache }));
+  }
+
+  // --- Restock run state ---
+  // A restock run records which deals it still has to check, so a run cut short by
+  // the service worker being stopped can pick up where it left off.
+  // Shape: { id, startedAt, updatedAt, pendingDealIds, checkedCount }.
+
+  async getRestockRun() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.restockRun);
+    return stored[STORAGE_KEYS.restockRun] || null;
+  }
+
+  saveRestockRun(run) {
+    return this._withLock(() => this.storageArea.set({ [STORAGE_KEYS.restockRun]: run }));
+  }
+
+  // Take a checked deal off the run's pending list. Returns the updated run, or null
+  // if the run has been replaced or cleared in the meantime.
+  completeRestockRunDeal(runId, dealId) {
+    return this._withLock(async () => {
+      const stored = await this.storageArea.get(STORAGE_KEYS.restockRun);
+      const run = stored[STORAGE_KEYS.restockRun];
+      if (!run || run.id !== runId) return null;
+      const next = {
+        ...run,
+        pendingDealIds: run.pendingDealIds.filter((id) => id !== dealId),
+        checkedCount: (run.checkedCount || 0) + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.storageArea.set({ [STORAGE_KEYS.restockRun]: next });
+      return next;
+    });
+  }
+
+  clearRestockRun() {
+    return this._withLock(() => this.storageArea.remove(STORAGE_KEYS.restockRun));
+  }
+
+  // --- Watch rules ---
+  // Rules are stored as an array in creation order (see normalizeWatchRule in
+  // watchRules.js). Matches are keyed by the listing's canonical URL:
+  // { key, title, url, price, currency, vendor, category, sourceId, ruleIds,
+  //   firstMatchedAt, savedDealId }.
+
+  async getWatchRules() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.watchRules);
+    return Array.isArray(stored[STORAGE_KEYS.watchRules]) ? stored[STORAGE_KEYS.watchRules] : [];
+  }
+
+  // Add a rule, or replace the stored rule with the same ID.
+  saveWatchRule(rule) {
+    return this._withLock(async () => {
+      const rules = await this.getWatchRules();
+      const index = rules.findIndex((existing) => existing.id === rule.id);
+      if (index === -1) rules.push(rule);
+      else rules[index] = rule;
+      await this.storageArea.set({ [STORAGE_KEYS.watchRules]: rules });
+      return rule;
+    });
+  }
+
+  deleteWatchRule(ruleId) {
+    return this._withLock(async () => {
+      const rules = await this.getWatchRules();
+      const remaining = rules.filter((rule) => rule.id !== ruleId);
+      if (remaining.length === rules.length) {
+        throw new Error(`Watch rule with ID ${ruleId} not found.`);
+      }
+      await this.storageArea.set({ [STORAGE_KEYS.watchRules]: remaining });
+    });
+  }
+
+  async getWatchRuleMatches() {
+    const stored = await this.storageArea.get(STORAGE_KEYS.watchRuleMatches);
+    return stored[STORAGE_KEYS.watchRuleMatches] || {};
+  }
+
+  // Remember matching listings. `matches` is [{ key, ...listing fields, ruleIds }].
+  // Returns the matches that hadn't been seen before: the ones to notify about.
+  recordWatchRuleMatches(matches, now = new Date()) {
+    return this._withLock(async () => {
+      const stored = await this.getWatchRuleMatches();
+      const fresh = [];
+      for (const match of matches) {
+        if (stored[match.key]) continue;
+        stored[match.key] = { ...match, firstMatchedAt: now.toISOString(), savedDealId: null };
+        fresh.push(stored[match.key]);
+      }
+      if (fresh.length === 0) return fresh;
+      const keys = Object.keys(stored);
+      if (keys.length > MAX_WATCH_RULE_MATCHES) {
+        keys.sort((a, b) => stored[a].firstMatchedAt.localeCompare(stored[b].firstMatchedAt))
+          .slice(0, keys.length - MAX_WATCH_RULE_MATCHES)
+          .forEach((key) => delete stored[key]);
+      }
+      await this.storageArea.set({ [STORAGE_KEYS.watchRuleMatches]: stored });
+      return fresh;
+    });
+  }
+
+  // Note that a match was saved to the watchlist as deal `dealId`.
+  markWatchRuleMatchSaved(key, dealId) {
+    return this._withLock(async () => {
+      const stored = await this.getWatchRuleMatches();
+      if (!stored[key]) return;
+      stored[key] = { ...stored[key], savedDealId: dealId };
+      await this.storageArea.set({ [STORAGE_KEYS.watchRuleMatches]: stored });
+    });
+  }
+
+  // --- Schema versioning ---
+
+  // Upgrade every stored deal to DEAL_SCHEMA_VERSION. Called from onInstalled on update.
+  // Returns the version the data was at before migrating.
+  migrate() {
+    return this._withLock(async () => {
+      const stored = await this.storageArea.get(STORAGE_KEYS.schemaVersion);
+      const previousVersion = stored[STORAGE_KEYS.schemaVersion] || 0;
+      if (previousVersion >= DEAL_SCHEMA_VERSION) {
+        return previousVersion;
+      }
+      // _readDeals upgrades each record as it reads it.
+      const deals = await this._readDeals();
+      await this.storageArea.set({
+        [STORAGE_KEYS.deals]: deals,
+        [STORAGE_KEYS.schemaVersion]: DEAL_SCHEMA_VERSION,
+      });
+      console.log(`Storage migrated from schema v${previousVersion} to v${DEAL_SCHEMA_VERSION} (${Object.keys(deals).length} deals).`);
+      return previousVersion;
+    });
+  }
+
+  // --- Deals ---
+
+  // Add a deal. If a deal with the same ID or canonical URL (including aliases) is
+  // already stored, the behaviour depends on options.onDuplicate: 'merge' (default)
+  // updates the existing record, 'reject' throws.
+  // Resolves to { deal, created }.
+  addDeal(deal, { onDuplicate = 'merge' } = {}) {
+    if (!deal || !deal.id) {
+      return Promise.reject(new Error('Cannot add deal: id is required.'));
+    }
+    return this._mutateDeals((deals) => {
+      const existing = deals[deal.id] ||
+        Object.values(deals).find((candidate) => dealsShareUrl(candidate, deal));
+
+      if (existing) {
+        if (onDuplicate === 'reject') {
+          throw new Error(`Deal "${existing.title}" is already saved (ID: ${existing.id}).`);
+        }
+        const merged = mergeDealRecords(existing, deal);
+        deals[existing.id] = merged;
+        return { deal: merged, created: false };
+      }
+
+      const record = { ...deal, urlAliases: getDealUrls(deal), schemaVersion: DEAL_SCHEMA_VERSION };
+      deals[record.id] = record;
+      return { deal: record, created: true };
+    });
+  }
+
+  // Call listener(changes) whenever the stored deals change, whichever context wrote
+  // them. changes is [{ id, before, after }]; before is null for a new deal and after
+  // is null for a deleted one.
+  onDealsChanged(listener) {
+    this.storageArea.onChanged.addListener((storageChanges) => {
+      const change = storageChanges[STORAGE_KEYS.deals];
+      if (!change) return;
+      const before = change.oldValue || {};
+      const after = change.newValue || {};
+      const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter((id) => JSON.stringify(before[id]) !== JSON.stringify(after[id]))
+        .map((id) => ({ id, before: before[id] || null, after: after[id] || null }));
+      if (changes.length > 0) listener(changes);
+    });
+  }
+
+  async getDealById(dealId) {
+    const deals = await this._readDeals();
+    return deals[dealId] || null;
+  }
+
+  // Look up a deal by any URL it is known by (tracking params, fragments and
+  // product sub-pages are ignored).
+  async getDealByUrl(url) {
+    const probe = { url };
+    const deals = await this._readDeals();
+    return Object.values(deals).find((deal) => dealsShareUrl(deal, probe)) || null;
+  }
+
+  async getDealsByStatus(status) {
+    const deals = await this._readDeals();
+    return Object.values(deals).filter((deal) => deal.status === status);
+  }
+
+  async getAllDeals() {
+    const deals = await this._readDeals();
+    return Object.values(deals);
+  }
+
+  // Apply a partial update to a deal. `changes` may be an object, or a function that
+  // receives the current record and returns the fields to change; the function form
+  // lets callers base the update on the latest stored state.
+  // Resolves to the updated deal. A patch that changes nothing is not written: the
+  // deal keeps its dateUpdated and no storage change event fires.
+  updateDeal(dealId, changes) {
+    return this._withLock(async () => {
+      const deals = await this._readDeals();
+      const existing = deals[dealId];
+      if (!existing) {
+        throw new Error(`Deal with ID ${dealId} not found.`);
+      }
+      const patch = (typeof changes === 'function' ? changes(existing) : changes) || {};
+      if (Object.keys(patch).every((key) => key === 'id' || sameValue(patch[key], existing[key]))) {
+        return existing;
+      }
+      const updated = { ...existing, ...patch, id: existing.id, dateUpdated: new Date().toISOString() };
+      deals[dealId] = updated;
+      await this._writeDeals(deals);
+      return updated;
+    });
+  }
+
+  // Move a deal to another status through the lifecycle table (see dealLifecycle.js).
+  // `options` is { reason, purchase }. Rejects moves the table doesn't allow.
+  updateDealStatus(dealId, status, options = {}) {
+    if (!status) {
+      return Promise.reject(new Error('Status is required.'));
+    }
+    return this.updateDeal(dealId, (deal) => transitionDeal(deal, status, options));
+  }
+
+  // Merge deals from an import (see csvExporterService.js). Each deal needs an id and
+  // url. With apply: false nothing is written and the result is a preview.
+  // Resolves to { added, updated, unchanged, conflicts }, each a list of
+  // { id, title, fields, conflictFields }.
+  importDeals(incomingDeals, { apply = false, conflictStrategy = 'keepExisting' } = {}) {
+    if (!['keepExisting', 'useImported'].includes(conflictStrategy)) {
+      return Promise.reject(new Error(`Unknown conflict strategy "${conflictStrategy}".`));
+    }
+    return this._withLock(async () => {
+      const deals = await this._readDeals();
+      const summary = importDealRecords(deals, incomingDeals, conflictStrategy);
+      if (apply) {
+        await this._writeDeals(deals);
+      }
+      return summary;
+    });
+  }
+
+  // Resolves to true if a deal was removed, false if it did not exist.
+  deleteDeal(dealId) {
+    return this._mutateDeals((deals) => {
+      if (!deals[dealId]) return false;
+      delete deals[dealId];
+      return true;
+    });
+  }
+}
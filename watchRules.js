@@ -0,0 +1,231 @@
+// Watch rules: saved searches run against the listings from the restock sources, so
+// the user hears about deals they haven't saved (or seen) yet.
+//
+// A rule is a small boolean expression over listing fields:
+//   category = marketing AND price <= $69
+//   title contains 'CRM' OR (vendor = "Acme" AND NOT title contains 'lite')
+// String comparisons ignore case. Operators: = != < <= > >= contains, combined with
+// AND, OR, NOT and parentheses (AND binds tighter than OR).
+
+// Listing fields a rule can test (see normalizeListing in restockSources.js), and
+// whether they compare as numbers.
+const RULE_FIELDS = {
+  title: { numeric: false },
+  category: { numeric: false },
+  vendor: { numeric: false },
+  price: { numeric: true },
+  currency: { numeric: false },
+  url: { numeric: false },
+  slug: { numeric: false },
+  source: { numeric: false, read: (listing) => listing.sourceId },
+};
+const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'contains'];
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_RULE_NAME_LENGTH = 100;
+
+// --- Parsing ---
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\(|\))|(<=|>=|!=|==|=|<|>)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([^\s()<>=!'"]+))/y;
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid watch rule: unexpected "${expression[position]}" at position ${position + 1}.`);
+    }
+    const at = position + match[0].length - match[0].trimStart().length + 1;
+    if (match[1]) tokens.push({ type: match[1], at });
+    else if (match[2]) tokens.push({ type: 'op', value: match[2] === '==' ? '=' : match[2], at });
+    else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ type: 'string', value: (match[3] ?? match[4]).replace(/\\(.)/g, '$1'), at });
+    } else {
+      const word = match[5];
+      const keyword = word.toUpperCase();
+      if (keyword === 'AND' || keyword === 'OR' || keyword === 'NOT') tokens.push({ type: keyword, at });
+      else if (keyword === 'CONTAINS') tokens.push({ type: 'op', value: 'contains', at });
+      else tokens.push({ type: 'word', value: word, at });
+    }
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Parse an expression into a tree of { type: 'and' | 'or', left, right },
+// { type: 'not', operand } and { type: 'compare', field, operator, value } nodes.
+// Throws an Error that says where the expression went wrong.
+export function parseWatchRule(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Invalid watch rule: the expression is empty.');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Invalid watch rule: expressions are limited to ${MAX_EXPRESSION_LENGTH} characters.`);
+  }
+  const tokens = tokenize(expression);
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value ?? token.type}" at position ${token.at}` : 'the end of the rule');
+  const fail = (expected) => {
+    throw new Error(`Invalid watch rule: expected ${expected} but found ${describe(peek())}.`);
+  };
+
+  const parseComparison = () => {
+    const fieldToken = peek();
+    if (!fieldToken || fieldToken.type !== 'word') fail('a field name');
+    const field = fieldToken.value.toLowerCase();
+    if (!RULE_FIELDS[field]) {
+      throw new Error(`Invalid watch rule: unknown field "${fieldToken.value}" at position ${fieldToken.at}. Fields: ${Object.keys(RULE_FIELDS).join(', ')}.`);
+    }
+    index += 1;
+    const operatorToken = peek();
+    if (!operatorToken || operatorToken.type !== 'op') fail(`an operator (${COMPARISON_OPERATORS.join(' ')})`);
+    const operator = operatorToken.value;
+    index += 1;
+    const valueToken = peek();
+    if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) fail('a value');
+    index += 1;
+
+    let value = valueToken.value;
+    if (RULE_FIELDS[field].numeric) {
+      // Prices may be written as 69, $69 or 1,299.00
+      const number = parseFloat(String(value).replace(/^[^\d.-]+/, '').replace(/,/g, ''));
+      if (isNaN(number)) {
+        throw new Error(`Invalid watch rule: ${field} needs a number, not "${value}" (position ${valueToken.at}).`);
+      }
+      value = number;
+    } else if (operator !== '=' && operator !== '!=' && operator !== 'contains') {
+      throw new Error(`Invalid watch rule: ${field} can't be compared with "${operator}" (position ${operatorToken.at}).`);
+    } else {
+      value = String(value).toLowerCase();
+    }
+    if (RULE_FIELDS[field].numeric && operator === 'contains') {
+      throw new Error(`Invalid watch rule: ${field} can't be compared with "contains" (position ${operatorToken.at}).`);
+    }
+    return { type: 'compare', field, operator, value };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index += 1;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (token && token.type === '(') {
+      index += 1;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') fail('")"');
+      index += 1;
+      return inner;
+    }
+    return parseComparison();
+  };
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (peek() && peek().type === 'AND') {
+      index += 1;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      index += 1;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) fail('AND, OR or the end of the rule');
+  return tree;
+}
+
+// --- Evaluation ---
+
+function readField(listing, field) {
+  const definition = RULE_FIELDS[field];
+  return definition.read ? definition.read(listing) : listing[field];
+}
+
+function evaluateNode(node, listing) {
+  switch (node.type) {
+    case 'and':
+      return evaluateNode(node.left, listing) && evaluateNode(node.right, listing);
+    case 'or':
+      return evaluateNode(node.left, listing) || evaluateNode(node.right, listing);
+    case 'not':
+      return !evaluateNode(node.operand, listing);
+    default: {
+      const actual = readField(listing, node.field);
+      // A listing without the field matches nothing (not even "!=").
+      if (actual === null || actual === undefined || actual === '') return false;
+      if (RULE_FIELDS[node.field].numeric) {
+        const number = Number(actual);
+        if (!Number.isFinite(number)) return false;
+        switch (node.operator) {
+          case '=': return number === node.value;
+          case '!=': return number !== node.value;
+          case '<': return number < node.value;
+          case '<=': return number <= node.value;
+          case '>': return number > node.value;
+          default: return number >= node.value;
+        }
+      }
+      const text = String(actual).toLowerCase();
+      if (node.operator === 'contains') return text.includes(node.value);
+      return node.operator === '=' ? text === node.value : text !== node.value;
+    }
+  }
+}
+
+// Whether a listing matches a rule expression (or a tree from parseWatchRule).
+export function matchesWatchRule(expressionOrTree, listing) {
+  const tree = typeof expressionOrTree === 'string' ? parseWatchRule(expressionOrTree) : expressionOrTree;
+  return evaluateNode(tree, listing);
+}
+
+// Run every enabled rule over the listings. Returns [{ listing, ruleIds }] for the
+// listings that match at least one rule. Rules that no longer parse are skipped.
+export function evaluateWatchRules(rules, listings) {
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    try {
+      compiled.push({ id: rule.id, tree: parseWatchRule(rule.expression) });
+    } catch (error) {
+      console.warn(`Skipping watch rule ${rule.id}: ${error.message}`);
+    }
+  }
+  const results = [];
+  for (const listing of listings) {
+    const ruleIds = compiled.filter(({ tree }) => evaluateNode(tree, listing)).map(({ id }) => id);
+    if (ruleIds.length > 0) results.push({ listing, ruleIds });
+  }
+  return results;
+}
+
+// --- Rule records ---
+
+// Build the stored form of a rule from user input: { id, name, expression, enabled,
+// createdAt, updatedAt }. `existing` is the stored rule being edited, if any.
+// Throws if the expression doesn't parse.
+export function normalizeWatchRule(input, existing = null, now = new Date()) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Watch rule must be an object.');
+  }
+  const expression = typeof input.expression === 'string' ? input.expression.trim() : existing && existing.expression;
+  parseWatchRule(expression);
+  const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, MAX_RULE_NAME_LENGTH) : (existing && existing.name) || expression.slice(0, MAX_RULE_NAME_LENGTH);
+  const timestamp = now.toISOString();
+  return {
+    id: existing ? existing.id : `rule-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    expression,
+    enabled: input.enabled === undefined ? (existing ? existing.enabled !== false : true) : Boolean(input.enabled),
+    createdAt: existing ? existing.createdAt : timestamp,
+    updatedAt: timestamp,
+  };
+}
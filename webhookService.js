@@ -0,0 +1,358 @@
+// Webhook alert channel for the SumoSignal background worker.
+//
+// Every alert whose deal has the 'webhook' channel (see dealPreferences.js) becomes
+// an event that is POSTed to the configured URL, either as SumoSignal's own JSON
+// payload or formatted as a Slack or Discord message. Events go through a persistent
+// outbox: they are stored before the first attempt and only removed once the
+// receiver accepts them, so nothing is lost when the service worker is stopped
+// mid-delivery. Failed deliveries are retried with exponential backoff, woken by an
+// alarm.
+//
+// With a secret configured, each request is signed:
+//   X-SumoSignal-Timestamp: <unix seconds>
+//   X-SumoSignal-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+// The webhook's origin must be granted as an optional host permission (the options
+// page asks for it), otherwise the browser blocks the request. Until it is, events
+// wait in the outbox; resumeWaiting sends them once access is granted.
+
+const STORAGE_KEY = 'sumosignal_webhook_outbox';
+export const WEBHOOK_OUTBOX_ALARM_NAME = 'webhookOutboxAlarm';
+
+export const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+// Events still undelivered after this many attempts stay in the outbox as 'failed'
+// until they are retried by hand or cleared.
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// The oldest events are dropped beyond this, so a receiver that is down for weeks
+// can't fill the storage quota.
+const MAX_OUTBOX_SIZE = 500;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+// Chrome doesn't fire alarms sooner than this.
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+// Deal fields included in JSON payloads.
+const PAYLOAD_DEAL_FIELDS = ['id', 'title', 'url', 'status', 'expiryDate', 'price', 'currency', 'priority', 'tags'];
+
+let eventSequence = 0;
+
+// Validate a webhook URL. Returns the parsed URL; throws if it can't be used.
+export function parseWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Webhook URL "${url}" is not a valid URL.`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('Webhook URL must start with http:// or https://.');
+  }
+  return parsed;
+}
+
+// The event stored in the outbox for one alert (see _queueAlert in notificationService.js):
+// { id, type, occurredAt, title, message, deal, details }.
+export function buildWebhookEvent(alert, now = new Date()) {
+  eventSequence += 1;
+  const deal = {};
+  for (const field of PAYLOAD_DEAL_FIELDS) {
+    if (alert.deal && alert.deal[field] !== undefined) deal[field] = alert.deal[field];
+  }
+  if (alert.dealUrl) deal.url = alert.dealUrl;
+  return {
+    id: `evt-${now.getTime()}-${eventSequence}-${Math.random().toString(36).slice(2, 8)}`,
+    type: alert.kind,
+    occurredAt: now.toISOString(),
+    title: alert.title,
+    message: alert.message,
+    deal,
+    details: alert.details || null,
+  };
+}
+
+// Slack and Discord treat &, < and > as markup.
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// The request body for an event in the given format.
+export function formatWebhookBody(event, format = 'json') {
+  const url = event.deal && event.deal.url;
+  switch (format) {
+    case 'slack':
+      return {
+        text: `*${url ? `<${url}|${escapeSlack(event.title)}>` : escapeSlack(event.title)}*\n${escapeSlack(event.message)}`,
+      };
+    case 'discord':
+      return {
+        username: 'SumoSignal',
+        content: `**${event.title}**\n${event.message}${url ? `\n<${url}>` : ''}`,
+        allowed_mentions: { parse: [] },
+      };
+    default:
+      return { source: 'sumosignal', ...event };
+  }
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// "sha256=<hex>" signature of `${timestamp}.${body}`.
+export async function signWebhookBody(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+}
+
+function retryDelay(attempts) {
+  const exponential = BASE_RETRY_DELAY_MS * 2 ** (attempts - 1) * (0.8 + Math.random() * 0.4);
+  return Math.min(MAX_RETRY_DELAY_MS, exponential);
+}
+
+// Whether a failed status is worth retrying. Other 4xx answers mean the request
+// itself is wrong (bad URL, revoked webhook), which retrying won't fix.
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export class WebhookService {
+  constructor({
+    storageArea = chrome.storage.local,
+    alarms = chrome.alarms,
+    permissions = chrome.permissions,
+    fetchImpl = (...args) => fetch(...args),
+  } = {}) {
+    this.storageArea = storageArea;
+    this.alarms = alarms;
+    this.permissions = permissions;
+    this.fetchImpl = fetchImpl;
+    this._lock = Promise.resolve();
+    this._resolveConfig = () => ({});
+    // Flushes run one after another, so an event is never sent twice at once.
+    this._flushing = Promise.resolve();
+  }
+
+  // resolver() returns { url, format, secret } for the current settings. Read at
+  // delivery time, so fixing a wrong URL also fixes the events waiting to be retried.
+  setConfigResolver(resolver) {
+    this._resolveConfig = resolver;
+  }
+
+  isConfigured() {
+    return Boolean(this._resolveConfig().url);
+  }
+
+  // Run fn exclusively, as StorageManager does, so concurrent flushes don't drop
+  // each other's outbox updates.
+  _withLock(fn) {
+    const run = this._lock.then(fn, fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  async _readOutbox() {
+    const stored = await this.storageArea.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+  }
+
+  _updateOutbox(fn) {
+    return this._withLock(async () => {
+      const outbox = await this._readOutbox();
+      const result = fn(outbox);
+      await this.storageArea.set({ [STORAGE_KEY]: outbox });
+      return result;
+    });
+  }
+
+  // Outbox entries: { event, status: 'pending' | 'failed', attempts, createdAt,
+  // nextAttemptAt, lastAttemptAt, lastError, waitingForAccess }, oldest first.
+  getOutbox() {
+    return this._readOutbox();
+  }
+
+  // Store an alert as an event and start delivering it; resolves once the event is
+  // in the outbox. Does nothing while no webhook URL is configured.
+  async enqueue(alert) {
+    if (!this.isConfigured()) return null;
+    const event = buildWebhookEvent(alert);
+    const now = new Date().toISOString();
+    await this._updateOutbox((outbox) => {
+      outbox.push({ event, status: 'pending', attempts: 0, createdAt: now, nextAttemptAt: now, lastAttemptAt: null, lastError: null });
+      if (outbox.length > MAX_OUTBOX_SIZE) {
+        const dropped = outbox.splice(0, outbox.length - MAX_OUTBOX_SIZE);
+        console.warn(`Webhook outbox full; dropped ${dropped.length} oldest event(s).`);
+      }
+    });
+    this.flush().catch((error) => console.error('Error flushing the webhook outbox:', error));
+    return event.id;
+  }
+
+  // Deliver every pending event that is due, oldest first, then schedule the alarm
+  // for the next retry (or clear it). Returns { delivered, failed, pending }.
+  flush() {
+    const run = this._flushing.then(() => this._flushDue(), () => this._flushDue());
+    this._flushing = run.catch(() => {});
+    return run;
+  }
+
+  async _flushDue() {
+    const summary = { delivered: 0, failed: 0, pending: 0 };
+    const nowMs = Date.now();
+    const due = (await this._readOutbox()).filter((entry) => entry.status === 'pending' &&
+      new Date(entry.nextAttemptAt).getTime() <= nowMs);
+
+    if (due.length > 0) {
+      // If the worker is stopped mid-delivery, the alarm brings it back.
+      this._scheduleAlarm(nowMs + MIN_ALARM_DELAY_MS);
+    }
+    for (const entry of due) {
+      let outcome;
+      try {
+        await this.deliver(entry.event);
+        outcome = { delivered: true };
+      } catch (error) {
+        outcome = { delivered: false, error: error.message, permanent: Boolean(error.permanent), waitingForAccess: Boolean(error.waitingForAccess) };
+      }
+      await this._recordAttempt(entry.event.id, outcome);
+      if (outcome.delivered) summary.delivered += 1;
+    }
+
+    const outbox = await this._readOutbox();
+    const pending = outbox.filter((entry) => entry.status === 'pending');
+    summary.pending = pending.length;
+    summary.failed = outbox.length - pending.length;
+    if (pending.length > 0) {
+      const next = Math.min(...pending.map((entry) => new Date(entry.nextAttemptAt).getTime()));
+      this._scheduleAlarm(next);
+    } else {
+      await this.alarms.clear(WEBHOOK_OUTBOX_ALARM_NAME);
+    }
+    return summary;
+  }
+
+  _recordAttempt(eventId, { delivered, error, permanent, waitingForAccess }) {
+    return this._updateOutbox((outbox) => {
+      const index = outbox.findIndex((entry) => entry.event.id === eventId);
+      if (index === -1) return; // Cleared while it was being sent
+      if (delivered) {
+        outbox.splice(index, 1);
+        return;
+      }
+      const entry = outbox[index];
+      const now = Date.now();
+      entry.lastAttemptAt = new Date(now).toISOString();
+      entry.lastError = error;
+      entry.waitingForAccess = Boolean(waitingForAccess);
+      if (waitingForAccess) {
+        // Not a real attempt: nothing was sent. resumeWaiting wakes the event when
+        // access is granted; until then it is only looked at again now and then.
+        entry.nextAttemptAt = new Date(now + MAX_RETRY_DELAY_MS).toISOString();
+        console.warn(`Webhook event ${eventId} (${entry.event.type}) is waiting for access: ${error}`);
+        return;
+      }
+      entry.attempts += 1;
+      if (permanent || entry.attempts >= MAX_ATTEMPTS) {
+        entry.status = 'failed';
+        console.warn(`Webhook event ${eventId} (${entry.event.type}) gave up after ${entry.attempts} attempt(s): ${error}`);
+      } else {
+        entry.nextAttemptAt = new Date(now + retryDelay(entry.attempts)).toISOString();
+        console.warn(`Webhook event ${eventId} (${entry.event.type}) failed: ${error}. Retrying at ${entry.nextAttemptAt}.`);
+      }
+    });
+  }
+
+  _scheduleAlarm(when) {
+    this.alarms.create(WEBHOOK_OUTBOX_ALARM_NAME, { when: Math.max(when, Date.now() + MIN_ALARM_DELAY_MS) });
+  }
+
+  // Put failed events (or the given ones) back in the queue and try them now.
+  async retry(eventIds = null) {
+    const now = new Date().toISOString();
+    const count = await this._updateOutbox((outbox) => {
+      let reset = 0;
+      for (const entry of outbox) {
+        if (eventIds ? !eventIds.includes(entry.event.id) : entry.status !== 'failed') continue;
+        Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: now });
+        reset += 1;
+      }
+      return reset;
+    });
+    const summary = await this.flush();
+    return { retried: count, ...summary };
+  }
+
+  // Send the events held back for want of host access now. Call when permissions are
+  // granted; events for an origin that is still not allowed just wait again.
+  async resumeWaiting() {
+    const now = new Date().toISOString();
+    const count = await this._updateOutbox((outbox) => {
+      let resumed = 0;
+      for (const entry of outbox) {
+        if (entry.status !== 'pending' || !entry.waitingForAccess) continue;
+        entry.nextAttemptAt = now;
+        resumed += 1;
+      }
+      return resumed;
+    });
+    if (count === 0) return { resumed: 0 };
+    const summary = await this.flush();
+    return { resumed: count, ...summary };
+  }
+
+  // Drop failed events (or every event with all: true). Returns how many were removed.
+  async clear({ all = false } = {}) {
+    const removed = await this._updateOutbox((outbox) => {
+      const before = outbox.length;
+      const kept = outbox.filter((entry) => !all && entry.status !== 'failed');
+      outbox.splice(0, outbox.length, ...kept);
+      return before - kept.length;
+    });
+    if (all) await this.alarms.clear(WEBHOOK_OUTBOX_ALARM_NAME);
+    return removed;
+  }
+
+  // POST one event to the configured webhook. Resolves with the HTTP status; throws
+  // on failure, with error.permanent set when retrying can't help and
+  // error.waitingForAccess when the webhook's origin hasn't been granted yet.
+  async deliver(event) {
+    const { url, format = 'json', secret } = this._resolveConfig();
+    const fail = (message, permanent) => Object.assign(new Error(message), { permanent });
+    if (!url) throw fail('No webhook URL is configured.', true);
+    let parsed;
+    try {
+      parsed = parseWebhookUrl(url);
+    } catch (error) {
+      throw fail(error.message, true);
+    }
+    if (!WEBHOOK_FORMATS.includes(format)) throw fail(`Unknown webhook format "${format}".`, true);
+    if (this.permissions && !(await this.permissions.contains({ origins: [`${parsed.origin}/*`] }))) {
+      throw Object.assign(fail(`SumoSignal may not contact ${parsed.origin} yet. Allow access from the options page.`, false), { waitingForAccess: true });
+    }
+
+    const body = JSON.stringify(formatWebhookBody(event, format));
+    const headers = { 'Content-Type': 'application/json', 'X-SumoSignal-Event': event.type, 'X-SumoSignal-Event-Id': event.id };
+    if (secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-SumoSignal-Timestamp'] = timestamp;
+      headers['X-SumoSignal-Signature'] = await signWebhookBody(secret, timestamp, body);
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let response;
+    try {
+      response = await this.fetchImpl(parsed.href, { method: 'POST', headers, body, signal: controller.signal });
+    } catch (error) {
+      throw fail(error.name === 'AbortError' ? `No answer within ${REQUEST_TIMEOUT_MS / 1000}s.` : `Network error: ${error.message}`, false);
+    } finally {
+      clearTimeout(timeout);
+    }
+    if (!response.ok) {
+      throw fail(`Webhook answered HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}.`, !isRetryableStatus(response.status));
+    }
+    return response.status;
+  }
+}